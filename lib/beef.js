@@ -1,14 +1,17 @@
 /*
- * beef.js — BEEF (BRC-62) and Atomic BEEF (BRC-95) reader / writer.
+ * beef.js — BEEF (BRC-62, BRC-96 V2) and Atomic BEEF (BRC-95) reader / writer.
  * Consumes bump.js for Merkle math. Pure vanilla JS, no dependencies.
  *
  * SCOPE (deliberate):
- *   - Parse and serialize the BEEF / Atomic BEEF container.
+ *   - Parse and serialize the BEEF / Atomic BEEF container, V1 (0100BEEF) and
+ *     V2 (0200BEEF, BRC-96: a format byte per transaction, txid-only entries).
  *   - Resolve the transaction DAG (txid -> tx, input -> parent).
  *   - Verify MINED inputs by computing their source tx's Merkle root via BUMP,
  *     handing the root back to YOUR header check (embedded header or header set).
  *   - Topologically order transactions when writing (ancestors first, subject last).
  *   - Wrap / unwrap Atomic BEEF (0x01010101 + subject txid).
+ *   - Merge two containers into one, combining BUMPs for the same block.
+ *   - Trim a container to the minimal ancestry of one subject (Atomic BEEF out).
  *
  * NOT IN SCOPE (on purpose):
  *   - Bitcoin Script evaluation and value-conservation checks for UNMINED ancestors.
@@ -16,8 +19,12 @@
  *     unmined-ancestor path never triggers. Implementing a script interpreter here
  *     would dwarf the tool and destroy auditability for a case it doesn't hit.
  *     If a tx has no BUMP, this module reports it as "unproven" rather than validating it.
+ *   - Txid-only (V2 "known") entries carry no transaction bytes: their inputs are
+ *     unknown, so they end any ancestry walk. One is proven only if a BUMP in the
+ *     container flags its txid; otherwise it is reported as known and unproven.
  *
- * Specs: https://bsv.brc.dev/transactions/0062 , https://hub.bsvblockchain.org/brc/transactions/0095
+ * Specs: https://bsv.brc.dev/transactions/0062 , https://hub.bsvblockchain.org/brc/transactions/0095 ,
+ *        https://bsv.brc.dev/transactions/0096
  */
 (function (root, factory) {
   if (typeof module === 'object' && module.exports) module.exports = factory(require('./bump.js'));
@@ -26,7 +33,10 @@
   'use strict';
   if (!BUMP) throw new Error('beef.js requires bump.js (BUMP) to be loaded first');
 
-  var BEEF_VERSION = [0x01, 0x00, 0xbe, 0xef];
+  var BEEF_V1 = [0x01, 0x00, 0xbe, 0xef];
+  var BEEF_V2 = [0x02, 0x00, 0xbe, 0xef];
+  // BRC-96 per-transaction format byte (V2 only).
+  var TX_RAW = 0, TX_RAW_BUMP = 1, TX_TXID_ONLY = 2;
   var ATOMIC_PREFIX = [0x01, 0x01, 0x01, 0x01];
 
   // ---- hex helpers -------------------------------------------------
@@ -151,10 +161,14 @@
     if (!txs || !txs.length) throw new Error('Atomic BEEF: container has no transactions');
     var byId = {};
     txs.forEach(function (t) { byId[t.txid] = t; });
-    // (1) subject must be present in the container
+    // (1) subject must be present in the container, with its transaction bytes: a
+    // txid-only subject names a transaction the container does not deliver
     if (!byId[subjectTxid]) {
       throw new Error('Atomic BEEF: subject txid ' + subjectTxid + ' is not present in the container');
     }
+    if (byId[subjectTxid].txidOnly) {
+      throw new Error('Atomic BEEF: subject txid ' + subjectTxid + ' is a txid-only entry with no transaction');
+    }
     // (2) subject must be the last transaction (BRC-95)
     if (txs[txs.length - 1].txid !== subjectTxid) {
       throw new Error('Atomic BEEF: subject txid must be the last transaction (BRC-95)');
@@ -162,7 +176,8 @@
     // (3) container must contain ONLY the subject and its ancestors (BRC-95).
     // Reachable set = subject + everything reachable by following inputs to parents
     // that are themselves present in the container. Any included tx not in that set
-    // is unrelated to the subject and must be rejected.
+    // is unrelated to the subject and must be rejected. A txid-only entry has no known
+    // inputs, so the walk stops there; its own ancestors cannot be in the container.
     var reachable = {}; reachable[subjectTxid] = true;
     var stack = [subjectTxid];
     while (stack.length) {
@@ -180,7 +195,7 @@
     });
   }
 
-  // ---- parse a full BEEF (or Atomic BEEF) --------------------------
+  // ---- parse a full BEEF (or Atomic BEEF), V1 or V2 ----------------
   function parse(hex) {
     var r = new Reader(fromHex(hex));
     var atomic = null;
@@ -188,7 +203,8 @@
       r.bytes(4);
       atomic = toHex(reverse(r.bytes(32))); // subject txid, display hex
     }
-    if (!r.peekEq(BEEF_VERSION)) throw new Error('not a BEEF stream (missing 0100BEEF marker)');
+    var version = r.peekEq(BEEF_V1) ? 1 : r.peekEq(BEEF_V2) ? 2 : null;
+    if (version === null) throw new Error('not a BEEF stream (missing 0100BEEF / 0200BEEF marker)');
     r.bytes(4); // version
 
     var nBumps = r.varInt(), bumps = [];
@@ -196,16 +212,43 @@
 
     var nTx = r.varInt(), txs = [];
     for (i = 0; i < nTx; i++) {
-      var tx = readRawTx(r);
-      var hasBump = r.u8();
-      tx.bumpIndex = hasBump ? r.varInt() : null;
+      var tx;
+      if (version === 1) {
+        tx = readRawTx(r);
+        var hasBump = r.u8();
+        tx.bumpIndex = hasBump ? r.varInt() : null;
+      } else {
+        var format = r.u8();
+        if (format === TX_TXID_ONLY) {
+          tx = { rawHex: null, txid: toHex(reverse(r.bytes(32))), inputs: [], bumpIndex: null, txidOnly: true };
+          // No index is serialized: the entry is proven by whichever BUMP flags its txid.
+          tx.bumpIndex = bumpFlagging(bumps, tx.txid);
+        } else if (format === TX_RAW_BUMP) {
+          var bumpIndex = r.varInt();
+          tx = readRawTx(r);
+          tx.bumpIndex = bumpIndex;
+        } else if (format === TX_RAW) {
+          tx = readRawTx(r);
+          tx.bumpIndex = null;
+        } else {
+          throw new Error('BEEF: unknown transaction format byte ' + format);
+        }
+      }
       txs.push(tx);
     }
     // Reject trailing garbage after the last transaction (audit item 9).
     if (r.pos !== r.buf.length) throw new Error('BEEF: ' + (r.buf.length - r.pos) + ' trailing byte(s) after transactions');
     // BRC-95: validate the atomic subject binding (audit M1) — fail closed.
     if (atomic !== null) validateAtomicSubject(txs, atomic);
-    return { atomicSubject: atomic, bumps: bumps, transactions: txs };
+    return { version: version, atomicSubject: atomic, bumps: bumps, transactions: txs };
+  }
+
+  // Index of the first BUMP holding `txid` as a flagged level-0 leaf, or null.
+  function bumpFlagging(bumps, txid) {
+    for (var i = 0; i < bumps.length; i++) {
+      if (bumps[i].path[0].some(function (l) { return l.txid && l.hash === txid; })) return i;
+    }
+    return null;
   }
 
   // ---- scoped verification: prove MINED txs via their BUMP ----------
@@ -229,9 +272,11 @@
     var byId = {};
     beef.transactions.forEach(function (t) { byId[t.txid] = t; });
 
-    var report = { proven: [], unproven: [], allProvenValid: true, links: [] };
+    // known: txid-only entries, whose bytes the recipient is expected to hold already.
+    var report = { proven: [], unproven: [], known: [], allProvenValid: true, links: [] };
 
     beef.transactions.forEach(function (t) {
+      if (t.txidOnly) report.known.push(t.txid);
       if (t.bumpIndex === null || t.bumpIndex === undefined) {
         report.unproven.push(t.txid);
         return;
@@ -287,26 +332,145 @@
   }
 
   // ---- serialize BEEF ----------------------------------------------
-  // input: { bumps: [bumpObj...], transactions: [{rawHex, inputs?, bumpIndex}] }
+  // input: { version?, bumps: [bumpObj...], transactions: [{rawHex, inputs?, bumpIndex} | {txid, txidOnly: true}] }
+  // version 2 writes BRC-96 (0200BEEF); anything else V1, which cannot carry txid-only entries.
   function build(beef) {
+    var version = beef.version === 2 ? 2 : 1;
     var ordered = topoSort(beef.transactions.map(function (t) {
+      if (t.txidOnly) {
+        if (version !== 2) throw new Error('BEEF: txid-only entries need version 2 (BRC-96)');
+        return { txid: t.txid, rawHex: null, inputs: [], bumpIndex: null, txidOnly: true };
+      }
       return { txid: t.txid || txidOf(fromHex(t.rawHex)), rawHex: t.rawHex,
                inputs: t.inputs || readRawTx(new Reader(fromHex(t.rawHex))).inputs,
                bumpIndex: (t.bumpIndex === undefined ? null : t.bumpIndex) };
     }));
     var w = new Writer();
-    w.bytes(new Uint8Array(BEEF_VERSION));
+    w.bytes(new Uint8Array(version === 2 ? BEEF_V2 : BEEF_V1));
     w.varInt(beef.bumps.length);
     beef.bumps.forEach(function (b) { w.hex(BUMP.toHex(b)); });
     w.varInt(ordered.length);
     ordered.forEach(function (t) {
-      w.hex(t.rawHex);
-      if (t.bumpIndex === null || t.bumpIndex === undefined) w.u8(0);
-      else { w.u8(1); w.varInt(t.bumpIndex); }
+      var proven = t.bumpIndex !== null && t.bumpIndex !== undefined;
+      if (version === 1) {
+        w.hex(t.rawHex);
+        if (!proven) w.u8(0);
+        else { w.u8(1); w.varInt(t.bumpIndex); }
+      } else if (t.txidOnly) {
+        w.u8(TX_TXID_ONLY).bytes(reverse(fromHex(t.txid)));
+      } else if (proven) {
+        w.u8(TX_RAW_BUMP).varInt(t.bumpIndex).hex(t.rawHex);
+      } else {
+        w.u8(TX_RAW).hex(t.rawHex);
+      }
     });
     return w.toHex();
   }
 
+  // ---- merge two BEEFs into one bundle ------------------------------
+  // Inputs are BEEF / Atomic BEEF hex or parse() results. Transactions are unioned
+  // by txid; a txid-only entry is replaced by the same txid's bytes when the other
+  // side has them. BUMPs for the same block (height and root) are combined with
+  // BUMP.merge, and every bumpIndex is re-pointed at the merged list. The result
+  // has parse()'s shape, ancestors first, ready for build(); it is not atomic —
+  // wrapAtomic() the built hex if one subject should be named.
+  function merge(beefA, beefB) {
+    var sides = [beefA, beefB].map(function (b) { return typeof b === 'string' ? parse(b) : b; });
+    var bumps = [], roots = [];
+    var remaps = sides.map(function (side) {
+      return side.bumps.map(function (b) {
+        var root = bumpRoot(b);
+        for (var i = 0; i < bumps.length; i++) {
+          if (bumps[i].blockHeight === b.blockHeight && roots[i] === root) { bumps[i] = BUMP.merge(bumps[i], b); return i; }
+        }
+        bumps.push(b); roots.push(root);
+        return bumps.length - 1;
+      });
+    });
+
+    var byId = {}, order = [];
+    sides.forEach(function (side, s) {
+      side.transactions.forEach(function (t) {
+        var bumpIndex = (t.bumpIndex === null || t.bumpIndex === undefined) ? null : remaps[s][t.bumpIndex];
+        if (bumpIndex === undefined) throw new Error('BEEF merge: tx ' + t.txid + ' references missing BUMP index ' + t.bumpIndex);
+        var entry = t.txidOnly
+          ? { txid: t.txid, rawHex: null, inputs: [], bumpIndex: bumpIndex, txidOnly: true }
+          : { txid: t.txid || txidOf(fromHex(t.rawHex)), rawHex: t.rawHex.toLowerCase(),
+              inputs: t.inputs || readRawTx(new Reader(fromHex(t.rawHex))).inputs, bumpIndex: bumpIndex };
+        var seen = byId[entry.txid];
+        if (!seen) { byId[entry.txid] = entry; order.push(entry.txid); return; }
+        if (!seen.txidOnly && !entry.txidOnly && seen.rawHex !== entry.rawHex) {
+          throw new Error('BEEF merge: conflicting raw bytes for txid ' + entry.txid);
+        }
+        if (seen.txidOnly && !entry.txidOnly) {
+          if (seen.bumpIndex !== null && entry.bumpIndex === null) entry.bumpIndex = seen.bumpIndex;
+          byId[entry.txid] = entry;
+        } else if (seen.bumpIndex === null) {
+          seen.bumpIndex = entry.bumpIndex;
+        }
+      });
+    });
+
+    var txs = order.map(function (id) {
+      var t = byId[id];
+      if (t.txidOnly && t.bumpIndex === null) t.bumpIndex = bumpFlagging(bumps, t.txid);
+      return t;
+    });
+    var version = txs.some(function (t) { return t.txidOnly; }) ||
+      sides.some(function (side) { return side.version === 2; }) ? 2 : 1;
+    return { version: version, atomicSubject: null, bumps: bumps, transactions: topoSort(txs) };
+  }
+
+  // Root a BUMP commits to (display hex), from its first hashed level-0 leaf.
+  function bumpRoot(bump) {
+    var leaf = bump.path[0].filter(function (l) { return l.hash; })[0];
+    if (!leaf) throw new Error('BEEF merge: BUMP at height ' + bump.blockHeight + ' has no level-0 hash');
+    return BUMP.merkleRoot(bump, leaf.hash);
+  }
+
+  // ---- trim to the minimal ancestry of one subject -------------------
+  // Keep the subject and walk its inputs back only until each branch reaches a tx
+  // with a BUMP (its Merkle proof makes older history unnecessary) or leaves the
+  // container. Everything else is dropped, each kept BUMP is cut down to the kept
+  // txids with BUMP.extract, and the result is returned as Atomic BEEF hex.
+  function trimToSubject(beef, subjectTxid) {
+    var src = typeof beef === 'string' ? parse(beef) : beef;
+    var subject = String(subjectTxid || '').toLowerCase();
+    var byId = {};
+    src.transactions.forEach(function (t) { byId[t.txid] = t; });
+    if (!byId[subject]) throw new Error('BEEF trim: subject txid ' + subject + ' is not present in the container');
+
+    var keep = {}, stack = [subject];
+    keep[subject] = true;
+    while (stack.length) {
+      var cur = byId[stack.pop()];
+      if (cur.bumpIndex !== null && cur.bumpIndex !== undefined) continue; // proven: stop here
+      (cur.inputs || []).forEach(function (inp) {
+        if (byId[inp.prevTxid] && !keep[inp.prevTxid]) { keep[inp.prevTxid] = true; stack.push(inp.prevTxid); }
+      });
+    }
+
+    var kept = src.transactions.filter(function (t) { return keep[t.txid]; });
+    var bumps = [], remap = {};
+    kept.forEach(function (t) {
+      if (t.bumpIndex === null || t.bumpIndex === undefined || remap[t.bumpIndex] !== undefined) return;
+      if (!src.bumps[t.bumpIndex]) throw new Error('tx references missing BUMP index ' + t.bumpIndex);
+      var proves = kept.filter(function (k) { return k.bumpIndex === t.bumpIndex; }).map(function (k) { return k.txid; });
+      remap[t.bumpIndex] = bumps.length;
+      bumps.push(BUMP.extract(src.bumps[t.bumpIndex], proves));
+    });
+    var trimmed = {
+      version: src.version,
+      bumps: bumps,
+      transactions: kept.map(function (t) {
+        return Object.assign({}, t, { bumpIndex: (t.bumpIndex === null || t.bumpIndex === undefined) ? null : remap[t.bumpIndex] });
+      })
+    };
+    var atomicHex = wrapAtomic(build(trimmed), subject);
+    parse(atomicHex); // BRC-95 subject rules, fail closed
+    return atomicHex;
+  }
+
   // ---- Atomic BEEF wrap / unwrap -----------------------------------
   function wrapAtomic(beefHex, subjectTxidDisplay) {
     return toHex(new Uint8Array(ATOMIC_PREFIX)) + toHex(reverse(fromHex(subjectTxidDisplay))) + beefHex;
@@ -350,12 +514,145 @@
     check('atomic subject txid preserved', reparsed.atomicSubject === t1.txid);
     check('atomic body still parses to 2 txs', reparsed.transactions.length === 2);
 
+    // BRC-96 V2: the same container with a format byte before each transaction, and
+    // the bump index ahead of the raw bytes.
+    var bumpsHex = BRC62_HEX.slice(8, BRC62_HEX.indexOf(t0.rawHex) - 2);
+    var v2Hex = '0200beef' + bumpsHex + '02' + '01' + '00' + t0.rawHex + '00' + t1.rawHex;
+    var v2 = parse(v2Hex);
+    check('V2: parses to the same transactions', v2.version === 2 && beef.version === 1 &&
+      v2.transactions[0].txid === t0.txid && v2.transactions[0].bumpIndex === 0 && v2.transactions[1].bumpIndex === null);
+    check('V2: build of a V1 parse with version 2 writes the same bytes', build(Object.assign({}, beef, { version: 2 })) === v2Hex);
+    check('V2: round-trip byte-identical', build(v2) === v2Hex);
+
+    // Txid-only: tx0 is proven by the BUMP that flags it; tx1 as txid-only is known, unproven.
+    var knownHex = '0200beef' + bumpsHex + '02' + '02' + toHex(reverse(fromHex(t0.txid))) + '00' + t1.rawHex;
+    var known = parse(knownHex);
+    check('V2 txid-only: no bytes, bump found by its flagged txid', known.transactions[0].txidOnly === true &&
+      known.transactions[0].rawHex === null && known.transactions[0].bumpIndex === 0);
+    var knownRep = verifyMined(known, function () { return true; });
+    check('V2 txid-only: proven via its BUMP, listed as known', knownRep.proven.length === 1 &&
+      knownRep.proven[0].txid === t0.txid && knownRep.known.join() === t0.txid);
+    check('V2 txid-only: round-trip byte-identical', build(known) === knownHex);
+    check('V2 txid-only: atomic subject may spend it', parse(wrapAtomic(knownHex, t1.txid)).atomicSubject === t1.txid);
+    var unknownHex = '0200beef' + bumpsHex + '02' + '01' + '00' + t0.rawHex + '02' + toHex(reverse(fromHex(t1.txid)));
+    var unknownRep = verifyMined(parse(unknownHex), function () { return true; });
+    check('V2 txid-only without a BUMP: unproven, aggregate false', unknownRep.unproven.join() === t1.txid && unknownRep.allProvenValid === false);
+    var threw = '';
+    try { parse(wrapAtomic(unknownHex, t1.txid)); } catch (e) { threw = e.message; }
+    check('V2 txid-only: refused as the atomic subject', /txid-only/.test(threw));
+    threw = '';
+    try { build({ bumps: known.bumps, transactions: known.transactions }); } catch (e) { threw = e.message; }
+    check('V1 build refuses txid-only entries', /need version 2/.test(threw));
+    threw = '';
+    try { parse('0200beef' + bumpsHex + '01' + '03' + t0.rawHex); } catch (e) { threw = e.message; }
+    check('V2: refuses an unknown format byte', /format byte 3/.test(threw));
+
+    // Merge: two payments proven in the same synthetic block, each in its own BEEF,
+    // plus the BRC-62 pair. Shared block => one combined BUMP.
+    function payment(seed) {
+      return '01000000' + '01' + toHex(sha256d(new Uint8Array([seed]))) + '00000000' + '00' + 'ffffffff' +
+        '01' + 'e803000000000000' + '00' + '00000000';
+    }
+    var p1 = payment(1), p2 = payment(2), id1 = txidOf(fromHex(p1)), id2 = txidOf(fromHex(p2));
+    var blockTxids = [toHex(sha256d(new Uint8Array([9]))), id1, id2, toHex(sha256d(new Uint8Array([8])))];
+    var blockA = BUMP.fromBlockTxids(blockTxids, 900000, [id1]), blockB = BUMP.fromBlockTxids(blockTxids, 900000, [id2]);
+    var beefA = build({ bumps: [blockA.bump], transactions: [{ rawHex: p1, bumpIndex: 0 }] });
+    var beefB = { bumps: beef.bumps.concat([blockB.bump]), transactions: beef.transactions.concat([{ rawHex: p2, bumpIndex: 1 }]) };
+    var merged = merge(beefA, beefB);
+    check('merge: same-block BUMPs combined, other block kept', merged.bumps.length === 2 &&
+      merged.bumps[0].path[0].filter(function (l) { return l.txid; }).length === 2);
+    var mergedRep = verifyMined(parse(build(merged)), function (root, height) {
+      return height === 900000 ? root === blockA.root : root === BUMP.merkleRoot(beef.bumps[0], t0.txid);
+    });
+    check('merge: every proof re-indexed and valid', mergedRep.proven.length === 3 && mergedRep.proven.every(function (p) { return p.valid; }) &&
+      mergedRep.unproven.join() === t1.txid);
+    check('merge: ancestors stay ahead of spends', merged.transactions.map(function (t) { return t.txid; }).indexOf(t0.txid) <
+      merged.transactions.map(function (t) { return t.txid; }).indexOf(t1.txid));
+    check('merge: a bundle with itself is unchanged', build(merge(BRC62_HEX, beef)) === BRC62_HEX.toLowerCase());
+    var upgraded = merge(knownHex, BRC62_HEX);
+    check('merge: txid-only entry takes the other side\'s bytes', !upgraded.transactions[0].txidOnly &&
+      upgraded.transactions[0].rawHex === t0.rawHex && upgraded.transactions[0].bumpIndex === 0 && upgraded.version === 2);
+    threw = '';
+    try { merge(beef, { bumps: [], transactions: [{ txid: t0.txid, rawHex: t1.rawHex, inputs: [], bumpIndex: null }] }); } catch (e) { threw = e.message; }
+    check('merge: refuses conflicting raw bytes for one txid', /conflicting raw bytes/.test(threw));
+
+    // Merge with a trimmed compound BUMP, as @bsv/sdk and ARC write one: four
+    // payments at offsets 0-3 of a 5-tx block, levels [0,1,2,3],[],[1].
+    var batch = [11, 12, 13, 14].map(payment), batchIds = batch.map(function (raw) { return txidOf(fromHex(raw)); });
+    var batchBlock = batchIds.concat([toHex(sha256d(new Uint8Array([15])))]);
+    var compound = BUMP.fromBlockTxids(batchBlock, 900002, batchIds);
+    var compoundBeef = build({ bumps: [compound.bump], transactions: batch.map(function (raw) { return { rawHex: raw, bumpIndex: 0 }; }) });
+    var halves = [[0, 1], [2, 3]].map(function (ids) {
+      return build({
+        bumps: [BUMP.extract(compound.bump, ids.map(function (i) { return batchIds[i]; }))],
+        transactions: ids.map(function (i) { return { rawHex: batch[i], bumpIndex: 0 }; })
+      });
+    });
+    check('merge: the batch BUMP is a trimmed compound proof', compound.bump.path.map(function (l) { return l.length; }).join() === '4,0,1');
+    check('merge: a compound BUMP merges with its own parts', build(merge(compoundBeef, halves[1])) === compoundBeef);
+    var rejoined = merge(halves[0], halves[1]);
+    var rejoinedRep = verifyMined(parse(build(rejoined)), function (root, height) { return height === 900002 && root === compound.root; });
+    check('merge: two halves rebuild the compound BUMP', rejoined.bumps.length === 1 &&
+      BUMP.toHex(rejoined.bumps[0]) === BUMP.toHex(compound.bump) && rejoinedRep.proven.length === 4 &&
+      rejoinedRep.proven.every(function (p) { return p.valid; }));
+
+    // The same on a 1024-tx block where every other txid is a client: each side's
+    // BUMP is a large trimmed compound proof, and the merge must stay linear.
+    var bigBlock = batchIds.slice(), bigClients = batchIds.slice();
+    for (var n = 4; n < 1024; n++) {
+      bigBlock.push(toHex(sha256d(new Uint8Array([n >> 8, n & 255]))));
+      if (n % 2 === 0) bigClients.push(bigBlock[n]);
+    }
+    var big = BUMP.fromBlockTxids(bigBlock, 900003, bigClients), bigStarted = Date.now();
+    var bigHalves = [[0, 1], [2, 3]].map(function (ids, side) {
+      return build({
+        bumps: [BUMP.extract(big.bump, ids.map(function (i) { return batchIds[i]; }).concat(bigClients.slice(4).filter(function (t, n) { return n % 2 === side; })))],
+        transactions: ids.map(function (i) { return { rawHex: batch[i], bumpIndex: 0 }; })
+      });
+    });
+    var bigRejoined = merge(bigHalves[0], bigHalves[1]);
+    check('merge: halves of a 1024-tx trimmed compound BUMP rejoin in linear time', bigRejoined.bumps.length === 1 &&
+      BUMP.toHex(bigRejoined.bumps[0]) === BUMP.toHex(big.bump) && Date.now() - bigStarted < 10000);
+
+    // Trim: subject q spends p (proven), which spends g (unproven). g is history the
+    // proof of p already covers; the unrelated BRC-62 pair and p2 go too.
+    function spend(prevTxid) {
+      return '01000000' + '01' + toHex(reverse(fromHex(prevTxid))) + '00000000' + '00' + 'ffffffff' +
+        '01' + 'e803000000000000' + '00' + '00000000';
+    }
+    var g = payment(5), gId = txidOf(fromHex(g)), p = spend(gId), pId = txidOf(fromHex(p)), q = spend(pId), qId = txidOf(fromHex(q));
+    var chainBlock = BUMP.fromBlockTxids([blockTxids[0], pId, id2], 900001, [pId, id2]);
+    var wallet = merge(build(merged), build({ bumps: [chainBlock.bump], transactions: [{ rawHex: g }, { rawHex: p, bumpIndex: 0 }, { rawHex: q }] }));
+    var trimmedQ = parse(trimToSubject(wallet, qId));
+    check('trim: stops at the first proven ancestor', trimmedQ.atomicSubject === qId &&
+      trimmedQ.transactions.map(function (t) { return t.txid; }).join() === [pId, qId].join());
+    check('trim: BUMP pruned to the kept txid', trimmedQ.bumps.length === 1 && trimmedQ.transactions[0].bumpIndex === 0 &&
+      trimmedQ.bumps[0].path[0].filter(function (l) { return l.txid; }).map(function (l) { return l.hash; }).join() === pId &&
+      BUMP.merkleRoot(trimmedQ.bumps[0], pId) === chainBlock.root);
+    check('trim: unproven subject keeps its proven parent', parse(trimToSubject(wallet, t1.txid)).transactions.length === 2);
+    check('trim: the BRC-62 subject trims back to its own bundle', trimToSubject(BRC62_HEX, t1.txid) === wrapAtomic(BRC62_HEX, t1.txid));
+    // Trim through the trimmed compound batch BUMP: its omitted nodes are computed
+    // and the extracted proof carries the ones the kept txid needs.
+    var batchSpend = spend(batchIds[2]), batchSpendId = txidOf(fromHex(batchSpend));
+    var batchWallet = build({ bumps: [compound.bump], transactions: batch.map(function (raw) { return { rawHex: raw, bumpIndex: 0 }; })
+      .concat([{ rawHex: batchSpend }]) });
+    var fromCompound = parse(trimToSubject(batchWallet, batchSpendId));
+    check('trim: a compound BUMP is cut to the kept txid', fromCompound.transactions.length === 2 &&
+      fromCompound.bumps[0].path.map(function (l) { return l.length; }).join() === '2,1,1' &&
+      BUMP.merkleRoot(fromCompound.bumps[0], batchIds[2]) === compound.root &&
+      BUMP.validate(fromCompound.bumps[0], { strict: true }).valid);
+    threw = '';
+    try { trimToSubject(wallet, '00'.repeat(32)); } catch (e) { threw = e.message; }
+    check('trim: refuses a subject not in the container', /not present/.test(threw));
+
     return { passed: ok, results: results };
   }
 
   return {
     parse: parse,
     build: build,
+    merge: merge,
+    trimToSubject: trimToSubject,
     verifyMined: verifyMined,
     topoSort: topoSort,
     wrapAtomic: wrapAtomic,
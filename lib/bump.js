@@ -217,29 +217,427 @@
     return w.toHex();
   }
 
+  // ------------------------------------------------------------------
+  // JSON interchange: the @bsv/sdk MerklePath shape (what JSON.stringify of a
+  // MerklePath gives, and what wallets built on it pass around):
+  //   { blockHeight, path: [[ { offset, hash, txid? } | { offset, duplicate: true } ]] }
+  // hashes in display hex, leaves sorted by offset within each level. It is the
+  // object fromHex() returns; toJSON() makes a clean copy of exactly those
+  // fields, and fromJSON() accepts the object or its JSON text and fails closed
+  // on anything that is not a well-formed path to one root.
+  // ------------------------------------------------------------------
+  function toJSON(bump) {
+    return {
+      blockHeight: bump.blockHeight,
+      path: bump.path.map(function (leaves) {
+        return leaves.map(function (leaf) {
+          if (leaf.duplicate) return { offset: leaf.offset, duplicate: true };
+          var out = { offset: leaf.offset };
+          if (leaf.txid) out.txid = true;
+          out.hash = leaf.hash.toLowerCase();
+          return out;
+        });
+      })
+    };
+  }
+
+  function fromJSON(json) {
+    var obj = json;
+    if (typeof json === 'string') {
+      try { obj = JSON.parse(json); } catch (e) { throw new Error('BUMP: merklePath is not valid JSON'); }
+    }
+    if (!obj || typeof obj !== 'object' || !Array.isArray(obj.path) || !obj.path.every(Array.isArray)) {
+      throw new Error('BUMP: merklePath needs blockHeight and a path of leaf arrays');
+    }
+    var bump = {
+      blockHeight: obj.blockHeight,
+      path: obj.path.map(function (leaves) {
+        return leaves.map(function (leaf) {
+          if (!leaf || typeof leaf !== 'object') throw new Error('BUMP: merklePath leaf is not an object');
+          if (leaf.duplicate) return { offset: leaf.offset, duplicate: true, hash: leaf.hash, txid: leaf.txid };
+          var out = { offset: leaf.offset };
+          if (leaf.txid) out.txid = true;
+          out.hash = typeof leaf.hash === 'string' ? leaf.hash.toLowerCase() : leaf.hash;
+          return out;
+        }).sort(function (a, b) { return a.offset - b.offset; });
+      })
+    };
+    var report = validate(bump);
+    if (!report.valid) {
+      var v = report.violations[0];
+      throw new Error('BUMP: merklePath ' + (v.level !== null ? 'level ' + v.level + (v.offset !== null ? ' offset ' + v.offset : '') + ': ' : '') + v.reason);
+    }
+    return toJSON(bump);
+  }
+
   // ------------------------------------------------------------------
   // Merkle root from a BUMP for a given (display-hex) txid.
   // Returns the root in display hex. Throws if the txid isn't covered.
+  // A sibling the BUMP leaves out is computed from the level below, as
+  // @bsv/sdk's MerklePath.computeRoot does: compound proofs from the SDK and
+  // ARC omit every node both of whose children they already carry.
   // ------------------------------------------------------------------
   function merkleRoot(bump, txid) {
-    var level0 = bump.path[0];
-    var start = null;
-    for (var i = 0; i < level0.length; i++) if (level0[i].hash === txid) { start = level0[i]; break; }
-    if (start === null) throw new Error('BUMP does not contain txid ' + txid);
-    var index = start.offset;
-    var working = txid;
-    for (var height = 0; height < bump.path.length; height++) {
-      var siblingOffset = (index >> height) ^ 1;
-      var leaf = null, lvl = bump.path[height];
-      for (var j = 0; j < lvl.length; j++) if (lvl[j].offset === siblingOffset) { leaf = lvl[j]; break; }
+    var index = indexNodes(bump);
+    var start = index.byHash[txid];
+    if (!start) throw new Error('BUMP does not contain txid ' + txid);
+    return climb(index, start);
+  }
+
+  // Levels between level 0 and the root. A single-level path (the whole of
+  // level 0, as the SDK holds a block's txid list) is as tall as its offsets.
+  function treeHeightOf(bump) {
+    if (bump.path.length !== 1) return bump.path.length;
+    return Math.max(1, 32 - Math.clz32(maxOffset(bump.path[0])));
+  }
+
+  function maxOffset(leaves) {
+    return leaves.reduce(function (m, l) { return Math.max(m, l.offset); }, 0);
+  }
+
+  // Every node a BUMP gives or implies, built once, bottom-up: levels[h] maps
+  // offset -> leaf, holding the stored leaves (the first, if an offset repeats)
+  // and each omitted node both of whose children are there, hashed once. Each
+  // level costs what the level below holds, so a root is O(treeHeight) after
+  // it — compound proofs of thousands of txids stay linear, not quadratic.
+  // In a single-level path the last node of an odd level has no stored
+  // sibling: it pairs with itself, as consensus does.
+  function indexNodes(bump) {
+    var treeHeight = treeHeightOf(bump), single = bump.path.length === 1;
+    var last = single ? maxOffset(bump.path[0]) : -1;
+    var levels = [], byHash = {};
+    bump.path[0].forEach(function (leaf) { if (!leaf.duplicate && !byHash[leaf.hash]) byHash[leaf.hash] = leaf; });
+    for (var h = 0; h < treeHeight; h++) {
+      var byOffset = {};
+      if (h < bump.path.length) bump.path[h].forEach(function (leaf) { if (!byOffset[leaf.offset]) byOffset[leaf.offset] = leaf; });
+      if (h > 0) {
+        var below = levels[h - 1];
+        Object.keys(below).forEach(function (k) {
+          var left = below[k], offset = left.offset;
+          if (offset % 2 !== 0 || left.duplicate || byOffset[offset / 2]) return;
+          var right = below[offset + 1];
+          if (!right && !(single && offset === (last >> (h - 1)))) return;
+          byOffset[offset / 2] = { offset: offset / 2, hash: hashHex((right && !right.duplicate ? right.hash : left.hash) + left.hash) };
+        });
+      }
+      levels.push(byOffset);
+    }
+    return { levels: levels, byHash: byHash, single: single, last: last,
+             lone: single && bump.path[0].length === 1 };
+  }
+
+  // The sibling `leaf`'s path reads at `height`: stored or computed, a
+  // duplicate stand-in for a single-level path's last odd node, else null.
+  function siblingAt(index, leaf, height) {
+    var offset = (leaf.offset >> height) ^ 1, sibling = index.levels[height][offset];
+    if (sibling) return sibling;
+    if (index.single && (leaf.offset >> height) === (index.last >> height)) return { offset: offset, duplicate: true };
+    return null;
+  }
+
+  // Root a level-0 leaf reconstructs from an indexNodes() result.
+  function climb(index, start) {
+    // A one-transaction block: the txid is the root (the @bsv/sdk encoding).
+    if (index.lone) return start.hash;
+    var working = start.hash;
+    for (var height = 0; height < index.levels.length; height++) {
+      var leaf = siblingAt(index, start, height);
       if (leaf === null) throw new Error('BUMP missing sibling at height ' + height);
       if (leaf.duplicate) working = hashHex(working + working);
-      else if (siblingOffset & 1) working = hashHex(leaf.hash + working); // sibling on the right
-      else working = hashHex(working + leaf.hash);                        // sibling on the left
+      else if (leaf.offset & 1) working = hashHex(leaf.hash + working); // sibling on the right
+      else working = hashHex(working + leaf.hash);                      // sibling on the left
     }
     return working;
   }
 
+  // Drop the nodes a verifier can compute, as @bsv/sdk's MerklePath.trim does:
+  // at level 0 every leaf that is neither a proven txid nor a proven txid's
+  // sibling, and above it every ancestor of a proven txid, whose two children
+  // the path then carries. Proven txids are the flagged client txids, or every
+  // level-0 hash when none is flagged. Returns a new BUMP.
+  function trim(bump) {
+    var level0 = bump.path[0];
+    var proven = level0.filter(function (l) { return l.txid; });
+    if (proven.length === 0) proven = level0.filter(function (l) { return !l.duplicate; });
+    var ancestors = bump.path.map(function () { return {}; });
+    proven.forEach(function (leaf) {
+      for (var h = 0; h < bump.path.length; h++) ancestors[h][leaf.offset >> h] = true;
+    });
+    return {
+      blockHeight: bump.blockHeight,
+      path: bump.path.map(function (leaves, h) {
+        return leaves.filter(function (leaf) {
+          return h === 0 ? ancestors[0][leaf.offset] || ancestors[0][leaf.offset ^ 1] : !ancestors[h][leaf.offset];
+        });
+      })
+    };
+  }
+
+  // The root every hashed level-0 leaf reconstructs. Throws if any leaf cannot
+  // reach a root or two leaves disagree, so a BUMP that passes proves one root.
+  function rootOf(bump) {
+    var index = indexNodes(bump), root = null;
+    for (var i = 0; i < bump.path[0].length; i++) {
+      var leaf = bump.path[0][i];
+      if (leaf.duplicate) continue;
+      var r = climb(index, leaf);
+      if (root !== null && r !== root) throw new Error('BUMP: leaves reconstruct different roots');
+      root = r;
+    }
+    if (root === null) throw new Error('BUMP: no level-0 hash to compute a root from');
+    return root;
+  }
+
+  // ------------------------------------------------------------------
+  // Merge two BUMPs for the same block into one compound BUMP.
+  // Both must reconstruct the same root at the same blockHeight, and leaves at
+  // the same offset must agree. Shared path nodes are kept once; a leaf is a
+  // client txid if either side flags it. The result is trimmed like
+  // MerklePath.combine's, so it encodes byte-identically to the SDK's.
+  // Returns a new BUMP, inputs untouched.
+  // ------------------------------------------------------------------
+  function merge(a, b) {
+    if (a.blockHeight !== b.blockHeight) {
+      throw new Error('BUMP: cannot merge block ' + a.blockHeight + ' with block ' + b.blockHeight);
+    }
+    if (a.path.length !== b.path.length) {
+      throw new Error('BUMP: cannot merge tree heights ' + a.path.length + ' and ' + b.path.length);
+    }
+    var root = rootOf(a);
+    if (rootOf(b) !== root) throw new Error('BUMP: cannot merge proofs of different Merkle roots');
+    // A side without client-txid flags proves every level-0 hash it holds. If
+    // the other side is flagged, flag those too, or trimming drops their paths.
+    var aFlagged = a.path[0].some(function (l) { return l.txid; });
+    var bFlagged = b.path[0].some(function (l) { return l.txid; });
+    var path = [];
+    for (var lvl = 0; lvl < a.path.length; lvl++) {
+      var byOffset = {}, leaves = [];
+      a.path[lvl].concat(b.path[lvl]).forEach(function (leaf, n) {
+        var flag = leaf.txid || (lvl === 0 && !leaf.duplicate && aFlagged !== bFlagged &&
+          (n < a.path[0].length ? !aFlagged : !bFlagged));
+        var seen = byOffset[leaf.offset];
+        if (!seen) {
+          var copy = { offset: leaf.offset };
+          if (leaf.duplicate) copy.duplicate = true;
+          else { if (flag) copy.txid = true; copy.hash = leaf.hash; }
+          byOffset[leaf.offset] = copy;
+          leaves.push(copy);
+        } else if (!!seen.duplicate !== !!leaf.duplicate || seen.hash !== leaf.hash) {
+          throw new Error('BUMP: conflicting leaves at level ' + lvl + ' offset ' + leaf.offset);
+        } else if (flag) {
+          seen.txid = true;
+        }
+      });
+      leaves.sort(function (x, y) { return x.offset - y.offset; });
+      path.push(leaves);
+    }
+    var merged = trim({ blockHeight: a.blockHeight, path: path });
+    if (rootOf(merged) !== root) throw new Error('BUMP: merged proof does not reconstruct the root');
+    return merged;
+  }
+
+  // ------------------------------------------------------------------
+  // Extract the BUMP that proves only `txids` (display hex) from a compound one.
+  // Keeps each txid's leaf and the siblings its path reads, computing any the
+  // compound proof omits, then trims the nodes those make computable, and
+  // flags only the requested txids as client txids — so a proof handed to a
+  // counterparty does not reveal the rest of the batch. Throws if a txid is not
+  // in the BUMP or the result does not reconstruct the original root.
+  // ------------------------------------------------------------------
+  function extract(bump, txids) {
+    if (!Array.isArray(txids) || txids.length === 0) throw new Error('BUMP: extract needs at least one txid');
+    var root = rootOf(bump), index = indexNodes(bump);
+    var wanted = txids.map(function (t) { return String(t).toLowerCase(); });
+    // A one-transaction block's proof is its txid alone: nothing to climb.
+    var treeHeight = index.lone ? 0 : index.levels.length;
+    var kept = [{}], flagged = {};
+    for (var h = 1; h < treeHeight; h++) kept.push({});
+    function keep(lvl, leaf) {
+      if (kept[lvl][leaf.offset]) return;
+      kept[lvl][leaf.offset] = leaf.duplicate ? { offset: leaf.offset, duplicate: true } : { offset: leaf.offset, hash: leaf.hash };
+    }
+    wanted.forEach(function (txid) {
+      var start = index.byHash[txid];
+      if (!start) throw new Error('BUMP does not contain txid ' + txid);
+      flagged[txid] = true;
+      keep(0, start);
+      for (var height = 0; height < treeHeight; height++) {
+        var leaf = siblingAt(index, start, height);
+        if (leaf === null) throw new Error('BUMP missing sibling at height ' + height);
+        keep(height, leaf);
+      }
+    });
+    var path = kept.map(function (byOffset) {
+      return Object.keys(byOffset).map(function (k) { return byOffset[k]; })
+        .sort(function (x, y) { return x.offset - y.offset; });
+    });
+    path[0].forEach(function (leaf) { if (flagged[leaf.hash]) leaf.txid = true; });
+    var out = trim({ blockHeight: bump.blockHeight, path: path }), outIndex = indexNodes(out);
+    wanted.forEach(function (txid) {
+      if (climb(outIndex, outIndex.byHash[txid]) !== root) throw new Error('BUMP: extracted proof does not reconstruct the root');
+    });
+    return out;
+  }
+
+  // ------------------------------------------------------------------
+  // Structural validation of a BUMP object, or of BUMP hex (which must then
+  // also parse). Always checks the shape, hash format, and that every level-0
+  // hash reconstructs one root; a node the BUMP omits but can compute from the
+  // level below is not missing. { strict: true } adds the checks for a
+  // CANONICAL encoding — one proof, one byte string, the trimmed form
+  // @bsv/sdk writes — which storage that dedups proofs by hash relies on:
+  //   - hex re-encodes byte-identically (leaf order, minimal VarInts)
+  //   - leaves in offset order, no offset twice in a level
+  //   - no offset beyond the width treeHeight allows at its level
+  //   - no leaf that no proven txid's path reads (proven = the flagged client
+  //     txids, or every level-0 hash when none is flagged)
+  //   - no node above level 0 whose two children the BUMP already gives
+  //   - a duplicate flag only on the final (odd, last) node of a level
+  //   - client-txid flags only at level 0, lowercase hashes
+  // Returns { valid, violations: [{ level, offset, reason }] } (level / offset
+  // null when a violation is not about one leaf). Never throws.
+  // ------------------------------------------------------------------
+  function validate(bumpOrHex, options) {
+    var strict = !!(options && options.strict);
+    var violations = [];
+    function fail(level, offset, reason) { violations.push({ level: level, offset: offset, reason: reason }); }
+    function result() { return { valid: violations.length === 0, violations: violations }; }
+
+    var bump = bumpOrHex;
+    if (typeof bumpOrHex === 'string') {
+      try { bump = fromHexBUMP(bumpOrHex); } catch (e) { fail(null, null, e.message); return result(); }
+      if (strict && toHexBUMP(bump) !== bumpOrHex.toLowerCase()) {
+        fail(null, null, 'encoding does not re-serialize byte-identically (leaf order or VarInt width)');
+      }
+    }
+    if (!bump || !Number.isInteger(bump.blockHeight) || bump.blockHeight < 0) {
+      fail(null, null, 'blockHeight must be a non-negative integer');
+    }
+    if (!bump || !Array.isArray(bump.path) || bump.path.length === 0 || bump.path.length > 255 ||
+        !bump.path.every(Array.isArray)) {
+      fail(null, null, 'path must be 1 to 255 levels of leaves');
+      return result();
+    }
+    var shapeOk = true;
+    bump.path.forEach(function (leaves, lvl) {
+      leaves.forEach(function (leaf) {
+        var offset = leaf && leaf.offset;
+        if (!leaf || !Number.isInteger(offset) || offset < 0) {
+          fail(lvl, null, 'offset must be a non-negative integer'); shapeOk = false;
+        } else if (leaf.duplicate) {
+          if (leaf.hash !== undefined || leaf.txid) { fail(lvl, offset, 'a duplicate leaf carries no hash or txid flag'); shapeOk = false; }
+        } else if (typeof leaf.hash !== 'string' || !/^[0-9a-f]{64}$/i.test(leaf.hash)) {
+          fail(lvl, offset, 'hash must be 64 hex characters'); shapeOk = false;
+        } else if (strict && leaf.hash !== leaf.hash.toLowerCase()) {
+          fail(lvl, offset, 'hash is not lowercase');
+        }
+      });
+    });
+    if (!shapeOk) return result();
+    var index = indexNodes(bump), root = null, rootOffset = null;
+    bump.path[0].forEach(function (leaf) {
+      if (leaf.duplicate) return;
+      var r;
+      try { r = climb(index, leaf); } catch (e) { fail(0, leaf.offset, e.message); return; }
+      if (root === null) { root = r; rootOffset = leaf.offset; }
+      else if (r !== root) fail(0, leaf.offset, 'reconstructs a different root than offset ' + rootOffset);
+    });
+    if (root === null && violations.length === 0) fail(0, null, 'no level-0 hash to compute a root from');
+    if (!strict) return result();
+
+    var treeHeight = treeHeightOf(bump);
+    var level0 = bump.path[0];
+    var proven = level0.filter(function (l) { return l.txid; });
+    if (proven.length === 0) proven = level0.filter(function (l) { return !l.duplicate; });
+    var read = bump.path.map(function () { return {}; });
+    proven.forEach(function (leaf) {
+      read[0][leaf.offset] = true;
+      for (var h = 0; h < bump.path.length; h++) read[h][(leaf.offset >> h) ^ 1] = true;
+    });
+    function computable(lvl, offset) {
+      var left = index.levels[lvl - 1][offset * 2];
+      return !!left && !left.duplicate && !!index.levels[lvl - 1][offset * 2 + 1];
+    }
+    bump.path.forEach(function (leaves, lvl) {
+      var width = Math.pow(2, treeHeight - lvl), seen = {};
+      var last = leaves.reduce(function (m, l) { return Math.max(m, l.offset); }, -1);
+      leaves.forEach(function (leaf, i) {
+        if (i > 0 && leaf.offset < leaves[i - 1].offset) fail(lvl, leaf.offset, 'leaf out of offset order');
+        if (seen[leaf.offset]) fail(lvl, leaf.offset, 'offset appears more than once in the level');
+        seen[leaf.offset] = true;
+        if (leaf.offset >= width) fail(lvl, leaf.offset, 'offset beyond the tree width (' + width + ' at this level)');
+        if (!read[lvl][leaf.offset]) fail(lvl, leaf.offset, 'leaf is not on the path of any proven txid');
+        if (leaf.duplicate && (leaf.offset % 2 === 0 || leaf.offset !== last)) {
+          fail(lvl, leaf.offset, 'duplicate flag on a node that is not the final node of its level');
+        }
+        if (leaf.txid && lvl > 0) fail(lvl, leaf.offset, 'client-txid flag above level 0');
+        if (lvl > 0 && !leaf.duplicate && computable(lvl, leaf.offset)) {
+          fail(lvl, leaf.offset, 'node can be computed from the level below');
+        }
+      });
+    });
+    return result();
+  }
+
+  // ------------------------------------------------------------------
+  // Build the whole Merkle tree from a block's ordered txid list (display hex,
+  // coinbase first) and emit one BUMP proving `clientTxids`. An odd level
+  // pairs its last node with itself, as consensus does. Returns { root, bump }
+  // with the root in display hex for comparison against the header's; bump is
+  // null when no client txids are given. The bump is trimmed as merge()'s is.
+  // A one-transaction block gets the @bsv/sdk encoding: a single level holding
+  // the txid, which is the root.
+  // ------------------------------------------------------------------
+  function fromBlockTxids(txids, blockHeight, clientTxids) {
+    if (!Array.isArray(txids) || txids.length === 0) throw new Error('BUMP: fromBlockTxids needs the block\'s txids');
+    if (!Number.isInteger(blockHeight) || blockHeight < 0) throw new Error('BUMP: blockHeight must be a non-negative integer');
+    var position = {};
+    var level = txids.map(function (t, i) {
+      var h = String(t).toLowerCase();
+      if (!/^[0-9a-f]{64}$/.test(h)) throw new Error('BUMP: txid #' + i + ' is not 64 hex characters');
+      if (Object.prototype.hasOwnProperty.call(position, h)) throw new Error('BUMP: txid ' + h + ' appears twice in the block');
+      position[h] = i;
+      return h;
+    });
+    var tree = [level];
+    while (level.length > 1) {
+      var next = [];
+      for (var i = 0; i < level.length; i += 2) next.push(hashHex((i + 1 < level.length ? level[i + 1] : level[i]) + level[i]));
+      tree.push(level = next);
+    }
+    var root = level[0];
+    var clients = (clientTxids || []).map(function (t) {
+      var h = String(t).toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(position, h)) throw new Error('BUMP: txid ' + h + ' is not in the block');
+      return h;
+    });
+    if (clients.length === 0) return { root: root, bump: null };
+    var kept = [{}];
+    for (var h = 1; h < tree.length - 1; h++) kept.push({});
+    clients.forEach(function (txid) {
+      var index = position[txid];
+      kept[0][index] = { offset: index, txid: true, hash: txid };
+      for (var height = 0; height < tree.length - 1; height++) {
+        var offset = (index >> height) ^ 1;
+        if (kept[height][offset]) continue;
+        kept[height][offset] = offset < tree[height].length ? { offset: offset, hash: tree[height][offset] }
+                                                            : { offset: offset, duplicate: true };
+      }
+    });
+    var bump = trim({
+      blockHeight: blockHeight,
+      path: kept.map(function (byOffset) {
+        return Object.keys(byOffset).map(function (k) { return byOffset[k]; })
+          .sort(function (x, y) { return x.offset - y.offset; });
+      })
+    });
+    var nodes = indexNodes(bump);
+    clients.forEach(function (txid) {
+      if (climb(nodes, nodes.byHash[txid]) !== root) throw new Error('BUMP: built proof does not reconstruct the root');
+    });
+    return { root: root, bump: bump };
+  }
+
   // ------------------------------------------------------------------
   // Self-test against the BRC-74 published vector.
   // Returns { passed: bool, results: [...] }; also throws on hard failure.
@@ -252,6 +650,27 @@
     '98c9c5dd79a18f40837061d5e0395ffb52e700a2689e641d19f053fc9619445e'
   ];
 
+  // Mainnet block 100000: its four txids in block order and its header's Merkle root.
+  var BLOCK_100000_TXIDS = [
+    '8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87',
+    'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4',
+    '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+    'e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d'
+  ];
+  var BLOCK_100000_ROOT = 'f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766';
+
+  // A trimmed compound BUMP as @bsv/sdk writes it: MerklePath.combine of the
+  // single-txid paths of leaves 0-3 in a 5-leaf tree (leaf i = hash of byte i).
+  // Level 1 is empty and level 2 holds only offset 1; the rest is computed.
+  var COMPOUND_HEX = '01030400021406e05881e299367766d313e26c05564ec91bf721d31726bd6e46e60689539a01029c12cfdc04c74584d787ac3d23772132c18524bc7ab28dec4219b8fc5b425f7002021cc3adea40ebfd94433ac004777d68150cce9db4c771bc7de1b297a7b795bbba0302c942a06c127c2c18022677e888020afb174208d299354f3ecfedb124a1f3fa45000101001d4a332a2169f979bff323bb634d4cc71cadb94a41f0554b1c9db3ab8d02d47f';
+  var COMPOUND_ROOT = '48b7979f4fc409cc282b911c6c23eee3aea685f70fcc91bcc3f728d6493811f4';
+  var COMPOUND_TXIDS = [
+    '9a538906e6466ebd2617d321f71bc94e56056ce213d366773699e28158e00614',
+    '705f425bfcb81942ec8db27abc2485c1322177233dac87d78445c704dccf129c',
+    'babb95b7a797b2e17dbc71c7b49dce0c15687d7704c03a4394fdeb40eaadc31c',
+    '45faf3a124b1edcf3e4f3599d2084217fb0a0288e8772602182c7c126ca042c9'
+  ];
+
   function selfTest() {
     var results = [], ok = true;
     function check(name, cond) { results.push({ name: name, pass: !!cond }); if (!cond) ok = false; }
@@ -271,6 +690,154 @@
 
     check('round-trip hex === original', toHexBUMP(bump) === VECTOR_HEX.toLowerCase());
 
+    // merge: split the vector's client flags across two copies, merge them back.
+    var left = fromHexBUMP(VECTOR_HEX), right = fromHexBUMP(VECTOR_HEX);
+    left.path[0].forEach(function (l) { if (l.hash !== VECTOR_TXIDS[1]) delete l.txid; });
+    right.path[0].forEach(function (l) { if (l.hash === VECTOR_TXIDS[1]) delete l.txid; });
+    var rejoined = merge(left, right);
+    check('merge keeps client flags from both sides', rejoined.path[0].filter(function (l) { return l.txid; }).length === 2 &&
+      toHexBUMP(rejoined) === toHexBUMP(trim(bump)));
+    check('merge drops the level-1 nodes the flagged txids make computable', rejoined.path[1].length === 0 &&
+      VECTOR_TXIDS.every(function (t) { return merkleRoot(rejoined, t) === VECTOR_ROOT; }));
+
+    // merge: single-txid paths through a 5-leaf tree (odd levels duplicate the last node).
+    var tree = [[]];
+    for (i = 0; i < 5; i++) tree[0].push(hashHex('0' + i));
+    while (tree[tree.length - 1].length > 1) {
+      var below = tree[tree.length - 1], above = [];
+      for (var k = 0; k < below.length; k += 2) above.push(hashHex((below[k + 1] || below[k]) + below[k]));
+      tree.push(above);
+    }
+    function single(index) {
+      var path = [[{ offset: index, txid: true, hash: tree[0][index] }]];
+      for (var h = 0; h < tree.length - 1; h++) {
+        var off = (index >> h) ^ 1;
+        var sib = off < tree[h].length ? { offset: off, hash: tree[h][off] } : { offset: off, duplicate: true };
+        if (h === 0) path[0].push(sib); else path.push([sib]);
+      }
+      path[0].sort(function (x, y) { return x.offset - y.offset; });
+      return { blockHeight: 1, path: path };
+    }
+    var rootHex = tree[tree.length - 1][0];
+    var both = merge(single(0), single(4));
+    check('merged proof reaches the root from each txid',
+      merkleRoot(both, tree[0][0]) === rootHex && merkleRoot(both, tree[0][4]) === rootHex);
+    check('merge of leaves 0-3 is the MerklePath.combine vector',
+      toHexBUMP(merge(merge(single(0), single(1)), merge(single(2), single(3)))) === COMPOUND_HEX &&
+      toHexBUMP(merge(fromHexBUMP(COMPOUND_HEX), single(1))) === COMPOUND_HEX);
+    check('merge trims the nodes two paths make computable', both.path.map(function (l) { return l.length; }).join() === '4,2,0');
+    var unflagged = single(4); delete unflagged.path[0][0].txid;
+    check('merge flags the hashes of an unflagged side', merkleRoot(merge(single(0), unflagged), tree[0][4]) === rootHex);
+    var pair = merge(single(0), single(1));
+    check('merge stores shared path nodes once', pair.path.map(function (l) { return l.length; }).join() === '2,1,1' &&
+      pair.path[0].every(function (l) { return l.txid; }));
+    function refuses(a2, b2, re) { try { merge(a2, b2); return false; } catch (e) { return re.test(e.message); } }
+    var other = single(4); other.blockHeight = 2;
+    check('merge refuses different block heights', refuses(single(0), other, /block 1 with block 2/));
+    var short = single(0); short.blockHeight = bump.blockHeight;
+    check('merge refuses different tree heights', refuses(short, bump, /tree heights 3 and 12/));
+    var forged = single(1); forged.path[0][0].hash = 'ff' + forged.path[0][0].hash.slice(2);
+    check('merge refuses a proof of another root', refuses(single(0), forged, /different Merkle roots/));
+
+    // extract: the inverse of merge, revealing only the requested txids.
+    check('extract undoes merge', toHexBUMP(extract(both, [tree[0][4]])) === toHexBUMP(single(4)));
+    var one = extract(bump, [VECTOR_TXIDS[0]]);
+    check('extract keeps only the path of the requested txid',
+      one.path[0].length === 2 && one.path[1].length === 1 && merkleRoot(one, VECTOR_TXIDS[0]) === VECTOR_ROOT);
+    check('extract drops the client flag of an unrequested sibling',
+      one.path[0][0].txid === true && !one.path[0][1].txid && bump.path[0][1].txid === true);
+    var all = extract(bump, VECTOR_TXIDS);
+    check('extract of every leaf drops the level-1 nodes it can compute', all.path.map(function (l) { return l.length; }).join() === '4,0,1,1,1,1,1,1,1,1,1,1' &&
+      VECTOR_TXIDS.every(function (t) { return merkleRoot(all, t) === VECTOR_ROOT; }));
+    var missing = true; try { extract(bump, ['ab'.repeat(32)]); missing = false; } catch (e) { missing = /does not contain/.test(e.message); }
+    check('extract refuses a txid the BUMP does not contain', missing);
+
+    // A trimmed SDK compound BUMP: omitted nodes are computed, never "missing".
+    var compound = fromHexBUMP(COMPOUND_HEX);
+    check('compound vector: root computes from every txid', COMPOUND_TXIDS.every(function (t, n) {
+      return t === tree[0][n] && merkleRoot(compound, t) === rootHex && rootHex === COMPOUND_ROOT;
+    }));
+    check('extract from the compound vector rebuilds the single-txid path', toHexBUMP(extract(compound, [tree[0][1]])) === toHexBUMP(single(1)));
+    var evens = extract(compound, [tree[0][0], tree[0][2]]);
+    check('extract keeps the compound vector trimmed', evens.path.map(function (l) { return l.length; }).join() === '4,0,1' &&
+      evens.path[0].map(function (l) { return l.txid ? 1 : 0; }).join('') === '1010');
+    // A large trimmed compound proof: 1024 txids, every other one a client, so
+    // only level 0 is stored and every node above it is computed. Recomputing
+    // nodes per leaf made this take minutes; one bottom-up pass keeps it linear.
+    var bigTxids = [];
+    for (i = 0; i < 1024; i++) bigTxids.push(hashHex(('000' + i.toString(16)).slice(-4)));
+    var bigStarted = Date.now();
+    var bigBlock = fromBlockTxids(bigTxids, 2, bigTxids.filter(function (t, n) { return n % 2 === 0; }));
+    var big = bigBlock.bump, bigOne = extract(big, [bigTxids[512]]);
+    check('a 1024-txid trimmed compound proof computes roots and extracts in linear time',
+      big.path[0].length === 1024 && big.path[1].length === 0 && merkleRoot(big, bigTxids[1000]) === bigBlock.root &&
+      bigOne.path.map(function (l) { return l.length; }).join() === '2,1,1,1,1,1,1,1,1,1' && Date.now() - bigStarted < 10000);
+    var bigPadded = JSON.parse(JSON.stringify(big)), strictStarted = Date.now();
+    bigPadded.path[1].push({ offset: 7, hash: hashHex(bigTxids[15] + bigTxids[14]) });
+    check('validate: strict checks on a 1024-txid trimmed compound proof run in linear time',
+      validate(big, { strict: true }).valid && /^1:7 node can be computed from the level below/.test(violation(bigPadded, { strict: true })) &&
+      Date.now() - strictStarted < 10000);
+    var bigClients = bigTxids.filter(function (t, n) { return n % 2 === 0; }), mergeStarted = Date.now();
+    var bigRejoined = merge(extract(big, bigClients.slice(0, 256)), extract(big, bigClients.slice(256)));
+    check('merge: halves of a 1024-txid trimmed compound proof rejoin in linear time',
+      toHexBUMP(bigRejoined) === toHexBUMP(big) && Date.now() - mergeStarted < 10000);
+    var loneBump = { blockHeight: 7, path: [[{ offset: 0, txid: true, hash: VECTOR_TXIDS[0] }]] };
+    check('extract of a one-transaction block is that block\'s proof', toHexBUMP(extract(loneBump, [VECTOR_TXIDS[0]])) === toHexBUMP(loneBump));
+
+    // fromBlockTxids: the same 5-leaf tree, then a real block (100000, four txs).
+    var built = fromBlockTxids(tree[0], 1, [tree[0][0], tree[0][4]]);
+    check('fromBlockTxids matches the hand-built tree', built.root === rootHex && toHexBUMP(built.bump) === toHexBUMP(both));
+    var block100k = fromBlockTxids(BLOCK_100000_TXIDS, 100000, [BLOCK_100000_TXIDS[2]]);
+    check('fromBlockTxids reproduces block 100000\'s Merkle root', block100k.root === BLOCK_100000_ROOT &&
+      merkleRoot(block100k.bump, BLOCK_100000_TXIDS[2]) === BLOCK_100000_ROOT);
+    var lone = fromBlockTxids([VECTOR_TXIDS[0]], 7, [VECTOR_TXIDS[0]]);
+    check('a one-transaction block proves its txid as the root',
+      lone.root === VECTOR_TXIDS[0] && merkleRoot(fromHexBUMP(toHexBUMP(lone.bump)), VECTOR_TXIDS[0]) === VECTOR_TXIDS[0]);
+    check('fromBlockTxids without client txids returns only the root', fromBlockTxids(tree[0], 1).bump === null);
+    var outside = true; try { fromBlockTxids(tree[0], 1, [VECTOR_TXIDS[0]]); outside = false; } catch (e) { outside = /not in the block/.test(e.message); }
+    check('fromBlockTxids refuses a client txid outside the block', outside);
+
+    // validate: the vector and built proofs are canonical; each malleation is named.
+    check('validate: trimmed proofs are canonical', validate(COMPOUND_HEX, { strict: true }).valid && validate(trim(bump), { strict: true }).valid &&
+      validate(built.bump, { strict: true }).valid && validate(lone.bump, { strict: true }).valid);
+    function violation(b, opts) { var v = validate(b, opts).violations; return v.length ? v[0].level + ':' + v[0].offset + ' ' + v[0].reason : ''; }
+    check('validate: nodes a trimmed proof omits are not missing', validate(COMPOUND_HEX).valid && validate(extract(compound, [tree[0][3]])).valid);
+    check('validate: a node the level below gives is not canonical', validate(VECTOR_HEX).valid &&
+      /^1:1524 node can be computed from the level below/.test(violation(VECTOR_HEX, { strict: true })) &&
+      validate(VECTOR_HEX, { strict: true }).violations.length === 2);
+    var gap = fromHexBUMP(COMPOUND_HEX); gap.path[0].pop();
+    check('validate: a node that cannot be computed is still missing', /^0:0 BUMP missing sibling at height 1/.test(violation(gap)));
+    var padded = VECTOR_HEX.slice(0, 12) + 'fd0400' + VECTOR_HEX.slice(14);   // level-0 count as a 3-byte VarInt
+    check('validate: a non-minimal VarInt is not canonical', validate(padded).valid && /byte-identically/.test(violation(padded, { strict: true })));
+    var twice = trim(bump); twice.path[2].push(twice.path[2][0]);
+    check('validate: a repeated offset is named', /^2:763 offset appears more than once/.test(violation(twice, { strict: true })));
+    var wide = single(4); wide.path[2].push({ offset: 5, hash: tree[0][0] });
+    check('validate: an offset beyond the tree width is named', /^2:5 offset beyond the tree width \(2/.test(violation(wide, { strict: true })));
+    var spare = single(0); spare.path[1].push({ offset: 2, hash: tree[0][0] });
+    check('validate: a leaf no path reads is named', validate(spare).valid && /^1:2 leaf is not on the path/.test(violation(spare, { strict: true })));
+    var early = single(4); early.path[1].unshift({ offset: 1, duplicate: true });
+    var earlyV = validate(early, { strict: true }).violations.map(function (v) { return v.level + ':' + v.offset + ' ' + v.reason; }).join('|');
+    check('validate: a duplicate flag on a non-final node is named', /1:1 duplicate flag on a node that is not the final/.test(earlyV));
+    // toJSON / fromJSON: the MerklePath shape round-trips, and malformed JSON fails closed.
+    var asJson = JSON.stringify(toJSON(bump));
+    check('JSON round-trip re-encodes the vector', toHexBUMP(fromJSON(asJson)) === VECTOR_HEX.toLowerCase() &&
+      JSON.stringify(toJSON(fromJSON(JSON.parse(asJson)))) === asJson);
+    var compoundJson = JSON.stringify(toJSON(compound));
+    check('fromJSON reads a trimmed compound path', toHexBUMP(fromJSON(compoundJson)) === COMPOUND_HEX &&
+      JSON.stringify(toJSON(fromJSON(compoundJson))) === compoundJson);
+    function jsonRefused(j, re) { try { fromJSON(j); return false; } catch (e) { return re.test(e.message); } }
+    var dupHash = toJSON(bump); dupHash.path[0][3].hash = VECTOR_TXIDS[0];
+    check('fromJSON refuses a duplicate leaf with a hash', jsonRefused(dupHash, /level 0 offset 3051: a duplicate leaf carries no hash/));
+    var badHeight = toJSON(bump); badHeight.blockHeight = '813706';
+    check('fromJSON refuses a non-integer blockHeight', jsonRefused(badHeight, /blockHeight must be a non-negative integer/));
+    var bigJson = JSON.stringify(toJSON(big)), bigForged = toJSON(big), jsonStarted = Date.now();
+    bigForged.path[1].push({ offset: 511, hash: bigTxids[0] });
+    check('fromJSON checks a 1024-txid trimmed compound path in linear time', JSON.stringify(fromJSON(bigJson)) === bigJson &&
+      jsonRefused(bigForged, /^BUMP: merklePath /) && Date.now() - jsonStarted < 10000);
+    check('fromJSON refuses text that is not JSON', jsonRefused('{"blockHeight":', /not valid JSON/));
+    var broken = fromHexBUMP(VECTOR_HEX); broken.path[1][1].hash = VECTOR_TXIDS[0];
+    check('validate: leaves that disagree on the root fail even without strict', !validate(broken).valid);
+
     return { passed: ok, results: results };
   }
 
@@ -278,11 +845,18 @@
     fromHex: fromHexBUMP,
     toHex: toHexBUMP,
     merkleRoot: merkleRoot,
+    merge: merge,
+    extract: extract,
+    fromBlockTxids: fromBlockTxids,
+    validate: validate,
+    toJSON: toJSON,
+    fromJSON: fromJSON,
     selfTest: selfTest,
     reverseHex: reverseHex,       // for header-field comparison (display <-> natural)
     sha256: sha256,
     configure: function (opts) { if (opts && typeof opts.sha256d === 'function') _sha256d = opts.sha256d; },
-    VECTOR: { hex: VECTOR_HEX, root: VECTOR_ROOT, txids: VECTOR_TXIDS }
+    VECTOR: { hex: VECTOR_HEX, root: VECTOR_ROOT, txids: VECTOR_TXIDS },
+    COMPOUND: { hex: COMPOUND_HEX, root: COMPOUND_ROOT, txids: COMPOUND_TXIDS }
   };
 });
 
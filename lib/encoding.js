@@ -7,6 +7,7 @@
  *   - Integer encoding (varInt, writeUInt32LE, writeUInt64LE)
  *   - Base58Check encoding
  *   - Validation utilities
+ *   - Network parameters (NETWORKS, NETWORK, showNetworkBanner)
  * 
  * No dependencies.
  */
@@ -188,6 +189,136 @@
     return { version: payload[0], hash: payload.slice(1) };
   }
 
+  // ==========================================
+  // Network Parameters
+  // ==========================================
+  //
+  // Everything that differs between mainnet, testnet and regtest lives here so the
+  // rest of the library reads it from one object. The network is fixed at LOAD TIME —
+  // headers.js derives its floor constants from it once — so switching networks means
+  // reloading the page / process, never flipping a setting mid-session.
+  //
+  // Selection, first match wins:
+  //   1. global MERKLE_NETWORK set before this script loads
+  //   2. ?network=<name> in the page URL (browser)
+  //   3. MERKLE_NETWORK environment variable (node)
+  //   4. 'mainnet'
+  // An unknown name throws rather than silently falling back to mainnet.
+
+  const NETWORKS = {
+    mainnet: {
+      name: 'mainnet',
+      // Checkpoint anchor. MUST match the anchor of your headers.bin.
+      // Verify BOTH hash and nBits independently (e.g. whatsonchain block 939999 / 940000)
+      // before trusting high-value transactions — internal PoW validity alone does not prove
+      // canonicality (~one BSV block of work can be produced by a resourced attacker).
+      // nBits is block 939999's own value (verified via explorer: difficulty 31.886e9,
+      // ~2^189); it sets a floor ~2^192 that rejects difficulty-1 and forces ~2^64 to forge.
+      checkpoint: {
+        height: 939999,
+        hash: '00000000000000000e7aea9b454b4acc945e6ae5883ca7254809e538bb54ef12',
+        nBits: 0x18227b71  // real BSV difficulty at block 939999 (difficulty 31.886e9; verify independently)
+      },
+      powLimitBits: 0x1d00ffff,
+      powLimit: (1n << 224n) - 1n,
+      floorTolerance: 8,
+      allowMinDifficultyBlocks: false,
+      noRetargeting: false,
+      bip65Height: 388381,       // blocks from here on must be version >= 4
+      genesisTimestamp: 1231006505,
+      addressVersions: { p2pkh: 0x00, p2sh: 0x05 },
+      wifVersion: 0x80,
+      apiBase: 'https://api.whatsonchain.com/v1/bsv/main'
+    },
+    testnet: {
+      name: 'testnet',
+      // testnet3 genesis. Testnet allows difficulty-1 blocks after a 20-minute gap, so the
+      // difficulty floor cannot reject cheap headers here; pin a recent block you have
+      // checked if you need a shorter headers.bin.
+      checkpoint: {
+        height: 0,
+        hash: '000000000933ea01ad0ee984209779baaec3ced90fa3f408719526f8d77f4943',
+        nBits: 0x1d00ffff
+      },
+      powLimitBits: 0x1d00ffff,
+      powLimit: (1n << 224n) - 1n,
+      floorTolerance: 8,
+      allowMinDifficultyBlocks: true,
+      noRetargeting: false,
+      bip65Height: 581885,
+      genesisTimestamp: 1296688602,
+      addressVersions: { p2pkh: 0x6f, p2sh: 0xc4 },
+      wifVersion: 0xef,
+      apiBase: 'https://api.whatsonchain.com/v1/bsv/test'
+    },
+    regtest: {
+      name: 'regtest',
+      // Standard regtest genesis; every regtest node shares it. No public API — build
+      // headers.bin and envelopes from your own node.
+      checkpoint: {
+        height: 0,
+        hash: '0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206',
+        nBits: 0x207fffff
+      },
+      powLimitBits: 0x207fffff,
+      powLimit: (1n << 255n) - 1n,
+      floorTolerance: 8,
+      allowMinDifficultyBlocks: true,
+      noRetargeting: true,
+      bip65Height: 1351,
+      genesisTimestamp: 1296688602,
+      addressVersions: { p2pkh: 0x6f, p2sh: 0xc4 },
+      wifVersion: 0xef,
+      apiBase: null
+    }
+  };
+
+  // Parameters are consensus-relevant; nothing may edit them after load.
+  Object.keys(NETWORKS).forEach(function (k) {
+    Object.freeze(NETWORKS[k].checkpoint);
+    Object.freeze(NETWORKS[k].addressVersions);
+    Object.freeze(NETWORKS[k]);
+  });
+  Object.freeze(NETWORKS);
+
+  function selectNetwork() {
+    let name = global.MERKLE_NETWORK;
+    if (!name && typeof location !== 'undefined' && location.search && typeof URLSearchParams !== 'undefined') {
+      name = new URLSearchParams(location.search).get('network');
+    }
+    if (!name && typeof process !== 'undefined' && process.env) name = process.env.MERKLE_NETWORK;
+    name = name || 'mainnet';
+    if (!Object.prototype.hasOwnProperty.call(NETWORKS, name)) {
+      throw new Error('Unknown network: ' + name + ' (expected ' + Object.keys(NETWORKS).join(', ') + ')');
+    }
+    return NETWORKS[name];
+  }
+
+  const NETWORK = selectNetwork();
+
+  /**
+   * Mark a non-mainnet session on a tool page: a banner at the top of the body,
+   * and ?network= kept on every link to another tool so the whole rehearsal
+   * stays on one network. Does nothing on mainnet.
+   * @param {Document} doc
+   * @returns {HTMLElement|null} the banner, or null on mainnet
+   */
+  function showNetworkBanner(doc) {
+    if (NETWORK.name === 'mainnet') return null;
+    const nb = doc.createElement('div');
+    nb.style.cssText = 'background:#fff3bf;color:#7c5e00;border:1px solid #f59f00;border-radius:6px;padding:8px 12px;margin-bottom:16px;font-size:0.85rem;font-weight:600;';
+    nb.textContent = NETWORK.name.toUpperCase() + ' — rehearsal network. Checkpoint ' + NETWORK.checkpoint.height +
+      '; headers, keys and addresses here are not valid on mainnet.';
+    doc.body.insertBefore(nb, doc.body.firstChild);
+    doc.querySelectorAll('a[href$=".html"]').forEach(function (a) {
+      a.setAttribute('href', a.getAttribute('href') + '?network=' + encodeURIComponent(NETWORK.name));
+    });
+    return nb;
+  }
+
+  global.NETWORKS = NETWORKS;
+  global.NETWORK = NETWORK;
+  global.showNetworkBanner = showNetworkBanner;
   global.isValidHex = isValidHex;
   global.constantTimeEqual = constantTimeEqual;
   global.hexToBytes = hexToBytes;
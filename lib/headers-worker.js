@@ -0,0 +1,67 @@
+/**
+ * headers-worker.js - Verify a headers.bin off the main thread
+ * Merkle Envelope Tools
+ * Depends on: crypto.js, encoding.js, headers.js (loaded here)
+ *
+ * Browser: createHeadersWorker() in headers.js, or
+ *          new Worker('lib/headers-worker.js?network=' + NETWORK.name)
+ * Node:    new (require('worker_threads').Worker)('lib/headers-worker.js',
+ *            { workerData: { network: NETWORK.name } })
+ * Pass the worker to verifier.loadChainStream(source, { worker }) — it speaks the
+ * protocol below and adopts the result.
+ *
+ * In:  { type: 'verify', source, checkpoint | checkpoints, policy, now, chunkHeaders }
+ *      { type: 'cancel' }
+ * Out: { type: 'progress', verified, total } ... then
+ *      { type: 'result', chain } or { type: 'error', message }
+ */
+(function () {
+  'use strict';
+
+  let port;
+  if (typeof importScripts === 'function') {
+    // The libraries attach to `window` or `global`; a worker has neither.
+    self.global = self;
+    importScripts('crypto.js', 'encoding.js', 'headers.js');
+    port = { post: function (msg) { self.postMessage(msg); } };
+    self.onmessage = function (e) { handle(e.data); };
+  } else {
+    const threads = require('worker_threads');
+    if (threads.workerData && threads.workerData.network) global.MERKLE_NETWORK = threads.workerData.network;
+    require('./crypto.js');
+    require('./encoding.js');
+    require('./headers.js');
+    port = { post: function (msg) { threads.parentPort.postMessage(msg); } };
+    threads.parentPort.on('message', handle);
+  }
+
+  let controller = null;
+
+  function handle(msg) {
+    if (!msg) return;
+    if (msg.type === 'cancel') {
+      if (controller) controller.abort();
+      return;
+    }
+    if (msg.type !== 'verify') return;
+    controller = new AbortController();
+    let verifier;
+    try {
+      verifier = global.createVerifier(msg.checkpoints
+        ? { checkpoints: msg.checkpoints, policy: msg.policy }
+        : { checkpoint: msg.checkpoint, policy: msg.policy });
+    } catch (e) {
+      port.post({ type: 'error', message: e.message });
+      return;
+    }
+    const options = {
+      signal: controller.signal,
+      chunkHeaders: msg.chunkHeaders,
+      onProgress: function (p) { port.post({ type: 'progress', verified: p.verified, total: p.total }); }
+    };
+    if (msg.now !== undefined) options.now = msg.now;
+    verifier.loadChainStream(msg.source, options).then(
+      function (chain) { port.post({ type: 'result', chain: chain }); },
+      function (e) { port.post({ type: 'error', message: e.message }); });
+  }
+})();
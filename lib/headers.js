@@ -7,19 +7,14 @@
   'use strict';
 
   // ==========================================
-  // Checkpoint Configuration
+  // Network / Checkpoint Configuration
   // ==========================================
-  // Checkpoint anchor. MUST match the anchor of your headers.bin.
-  // Verify BOTH hash and nBits independently (e.g. whatsonchain block 939999 / 940000)
-  // before trusting high-value transactions — internal PoW validity alone does not prove
-  // canonicality (~one BSV block of work can be produced by a resourced attacker).
-  // nBits is block 939999's own value (verified via explorer: difficulty 31.886e9,
-  // ~2^189); it sets a floor ~2^192 that rejects difficulty-1 and forces ~2^64 to forge.
-  const CHECKPOINT = {
-    height: 939999,
-    hash: '00000000000000000e7aea9b454b4acc945e6ae5883ca7254809e538bb54ef12',
-    nBits: 0x18227b71  // real BSV difficulty at block 939999 (difficulty 31.886e9; verify independently)
-  };
+  // All network-specific values (checkpoint, pow limit, floor tolerance, retarget
+  // rules) come from the NETWORK object selected by encoding.js at load time.
+  // The mainnet checkpoint and how to verify it are documented there.
+  const NETWORK = global.NETWORK;
+  if (!NETWORK) throw new Error('headers.js: no network parameters (load encoding.js first)');
+  const CHECKPOINT = NETWORK.checkpoint;
 
   // ==========================================
   // Difficulty Floor System
@@ -35,7 +30,7 @@
   // This blocks trivially forged headers (difficulty-1) while accepting
   // legitimate blocks during normal hashrate variance.
   
-  const DIFFICULTY_TOLERANCE = 8n;
+  const DIFFICULTY_TOLERANCE = BigInt(NETWORK.floorTolerance);
   
   // Static floor from checkpoint (used when no header chain loaded)
   const STATIC_FLOOR_TARGET = targetFromNBits(CHECKPOINT.nBits) * DIFFICULTY_TOLERANCE;
@@ -46,24 +41,125 @@
   // placeholder checkpoint nBits — e.g. the former 0x1d2a0000 gave a floor ~2^232, looser
   // than difficulty-1 (~2^223), so the floor rejected nothing real. Real BSV nBits near
   // this height is ~0x18xxxxxx (target ~2^189), giving a meaningful floor ~2^192.
-  const DIFFICULTY_1_TARGET = targetFromNBits(0x1d00ffff);
+  // On testnet/regtest difficulty-1 is the network's pow limit and min-difficulty
+  // blocks are valid, so the floor is expected to be toothless there.
+  const DIFFICULTY_1_TARGET = targetFromNBits(NETWORK.powLimitBits);
   function checkpointFloorStatus() {
     const sane = STATIC_FLOOR_TARGET < DIFFICULTY_1_TARGET;
     return {
       sane: sane,
+      network: NETWORK.name,
       reason: sane
         ? 'difficulty floor is stricter than difficulty-1'
+        : NETWORK.allowMinDifficultyBlocks
+        ? 'DIFFICULTY FLOOR TOOTHLESS on ' + NETWORK.name + ': minimum-difficulty blocks are valid on this ' +
+          'network, so headers prove no meaningful work. Rehearsal only — never rely on it for value.'
         : 'DIFFICULTY FLOOR TOOTHLESS: checkpoint nBits (0x' + CHECKPOINT.nBits.toString(16) +
           ') gives a floor looser than difficulty-1 — grindable low-difficulty headers pass it. ' +
           'Set CHECKPOINT.nBits to the real block ' + CHECKPOINT.height + ' value (~0x18xxxxxx).'
     };
   }
   // Surface the misconfiguration loudly rather than presenting a floor that does nothing.
+  // Test networks are toothless by design; the tools show that in their network banner.
   try {
     const _cf = checkpointFloorStatus();
-    if (!_cf.sane && typeof console !== 'undefined' && console.warn) console.warn('[headers.js] ' + _cf.reason);
+    if (!_cf.sane && !NETWORK.allowMinDifficultyBlocks && typeof console !== 'undefined' && console.warn) {
+      console.warn('[headers.js] ' + _cf.reason);
+    }
   } catch (_e) {}
-  
+
+  // ==========================================
+  // Checkpoint Manifest (runtime trust anchors)
+  // ==========================================
+  //
+  // CHECKPOINT is compiled in: moving it means editing this library, which changes the
+  // file hash published in the README. A checkpoint manifest lists several checkpoints
+  // in a separate JSON file that the tools load at runtime:
+  //   { "format": "merkle-envelope-checkpoints", "version": 1, "network": "mainnet",
+  //     "checkpoints": [ { "height": 939999, "hash": "<64 hex>", "nBits": 405961585 }, ... ] }
+  // A manifest is a trust anchor exactly like CHECKPOINT, so it is HASH-PINNED: the
+  // caller supplies the SHA-256 of the file bytes, obtained out of band, and a file that
+  // does not hash to it is refused. A chain may then anchor at any listed checkpoint,
+  // and its headers are held to THAT checkpoint's difficulty floor.
+
+  const CHECKPOINT_MANIFEST_FORMAT = 'merkle-envelope-checkpoints';
+
+  /**
+   * Parse a hash-pinned checkpoint manifest for the current network.
+   * @param {Uint8Array|string} data - the manifest file bytes (or its text)
+   * @param {string} pinnedSha256 - SHA-256 of those bytes (64 hex), confirmed independently
+   * @returns {{network:string, sha256:string, checkpoints:Array<{height:number,hash:string,nBits:number}>}}
+   *   frozen; checkpoints ascending by height. Pass it as createVerifier({ checkpoints })
+   *   or as verifyHeaderChain's expectedCheckpoint.
+   * @throws on a hash mismatch, another network's manifest, or any malformed checkpoint
+   */
+  function loadCheckpointManifest(data, pinnedSha256) {
+    if (typeof pinnedSha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(pinnedSha256.trim())) {
+      throw new Error('Checkpoint manifest needs a pinned SHA-256 (64 hex characters)');
+    }
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    if (!(bytes instanceof Uint8Array)) throw new Error('Checkpoint manifest must be bytes or text');
+    const digest = global.bytesToHex(global.SHA256.hash(bytes));
+    if (digest !== pinnedSha256.trim().toLowerCase()) {
+      throw new Error('Checkpoint manifest SHA-256 ' + digest.slice(0, 16) + '… does not match the pinned ' +
+        pinnedSha256.trim().slice(0, 16).toLowerCase() + '… — refusing an unpinned trust anchor');
+    }
+    let doc;
+    try {
+      doc = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+      throw new Error('Checkpoint manifest is not valid JSON');
+    }
+    if (!doc || doc.format !== CHECKPOINT_MANIFEST_FORMAT || doc.version !== 1) {
+      throw new Error('Not a version 1 checkpoint manifest (format "' + CHECKPOINT_MANIFEST_FORMAT + '")');
+    }
+    if (doc.network !== NETWORK.name) {
+      throw new Error('Checkpoint manifest is for ' + doc.network + '; this page runs on ' + NETWORK.name);
+    }
+    return Object.freeze({
+      network: doc.network,
+      sha256: digest,
+      checkpoints: checkCheckpointList(doc.checkpoints, NETWORK.floorTolerance)
+    });
+  }
+
+  // Validate a checkpoint list; returns a frozen copy ascending by height. Where
+  // min-difficulty blocks are invalid, every entry's floor must be stricter than
+  // difficulty-1 — a list is where a chain's floor now comes from, so an entry with a
+  // placeholder nBits would otherwise admit grindable headers (see checkpointFloorStatus).
+  function checkCheckpointList(list, tolerance) {
+    if (!Array.isArray(list) || list.length === 0) throw new Error('Checkpoint list must be a non-empty array');
+    const out = list.map(function (cp, i) {
+      if (!cp || !Number.isInteger(cp.height) || cp.height < 0 ||
+          typeof cp.hash !== 'string' || !/^[0-9a-f]{64}$/i.test(cp.hash) ||
+          !Number.isInteger(cp.nBits) || cp.nBits < 0 || cp.nBits > 0xffffffff) {
+        throw new Error('Checkpoint ' + i + ' needs integer height, 64-hex hash and integer nBits');
+      }
+      if (!NETWORK.allowMinDifficultyBlocks && targetFromNBits(cp.nBits) * BigInt(tolerance) >= DIFFICULTY_1_TARGET) {
+        throw new Error('Checkpoint at ' + cp.height + ' (nBits 0x' + cp.nBits.toString(16) +
+          ') gives a difficulty floor looser than difficulty-1');
+      }
+      return Object.freeze({ height: cp.height, hash: cp.hash.toLowerCase(), nBits: cp.nBits });
+    }).sort(function (a, b) { return a.height - b.height; });
+    for (let i = 1; i < out.length; i++) {
+      if (out[i].height === out[i - 1].height) throw new Error('Checkpoint list has two entries at height ' + out[i].height);
+    }
+    return Object.freeze(out);
+  }
+
+  // The checkpoint list behind verifyHeaderChain's expectedCheckpoint: an array or a
+  // loaded manifest. null for a single checkpoint object (or none).
+  function checkpointListOf(expected) {
+    if (Array.isArray(expected)) return expected;
+    if (expected && Array.isArray(expected.checkpoints)) return expected.checkpoints;
+    return null;
+  }
+
+  // Floor tolerance in effect for a verification: the instance policy's, else the network's.
+  function toleranceOf(options) {
+    return options && options.floorTolerance !== undefined ? options.floorTolerance : NETWORK.floorTolerance;
+  }
+
   // Dynamic floor state (updated when header chain is loaded)
   let dynamicFloorTarget = null;
   let dynamicFloorSource = null;
@@ -93,19 +189,25 @@
    * @returns {{ target: BigInt, source: string }}
    */
   function getEffectiveFloor() {
+    return effectiveFloor(STATIC_FLOOR_TARGET, CHECKPOINT.height,
+      dynamicFloorTarget === null ? null : { target: dynamicFloorTarget, height: dynamicFloorSource.height });
+  }
+
+  // Shared by the module-level floor above and createVerifier() instances.
+  function effectiveFloor(staticTarget, checkpointHeight, dynamic) {
     // Raise-only: a loaded chain may make the floor STRICTER (smaller target =
     // harder) but must never make it more permissive than the static checkpoint
     // floor. Otherwise a forged low-difficulty tip could lower the bar for
     // standalone envelope headers (see audit FP-2). Take the harder of the two.
-    if (dynamicFloorTarget !== null && dynamicFloorTarget < STATIC_FLOOR_TARGET) {
+    if (dynamic && dynamic.target < staticTarget) {
       return {
-        target: dynamicFloorTarget,
-        source: `chain tip ${dynamicFloorSource.height}`
+        target: dynamic.target,
+        source: `chain tip ${dynamic.height}`
       };
     }
     return {
-      target: STATIC_FLOOR_TARGET,
-      source: `checkpoint ${CHECKPOINT.height}`
+      target: staticTarget,
+      source: `checkpoint ${checkpointHeight}`
     };
   }
 
@@ -130,10 +232,198 @@
     }
   }
 
+  // ==========================================
+  // Difficulty Adjustment (DAA) — opt-in consensus check
+  // ==========================================
+  //
+  // BSV retargets every block with the 144-block chainwork DAA inherited from the
+  // November 2017 fork (height 504,031). For a block at height h:
+  //   last  = median-timestamp block of {h-3, h-2, h-1}
+  //   first = median-timestamp block of {h-147, h-146, h-145}
+  //   work  = chainwork(last) - chainwork(first)
+  //   span  = time(last) - time(first), clamped to [72, 288] * 600s
+  //   target = (2^256 - work*600/span) / (work*600/span), capped at the pow limit
+  // and the header's nBits must equal the compact encoding of that target.
+  //
+  // A header therefore needs DAA_CONTEXT (147) predecessors before its nBits can be
+  // recomputed. Within a loaded headers.bin the first DAA_CONTEXT headers lack that
+  // context (the anchor is a bare hash), so they stay gated by the static floor.
+
+  const DAA_WINDOW = 144;
+  const DAA_CONTEXT = DAA_WINDOW + 3;
+  const TARGET_SPACING = 600;
+  const POW_LIMIT = NETWORK.powLimit; // unrounded; mainnet 2^224-1 (nBits 0x1d00ffff)
+
+  /**
+   * Compact (nBits) encoding of a 256-bit target — Bitcoin's GetCompact().
+   * @param {BigInt} target
+   * @returns {number} nBits as an unsigned 32-bit integer
+   */
+  function nBitsFromTarget(target) {
+    let size = target.toString(16).length;
+    size = target === 0n ? 0 : Math.ceil(size / 2);
+    let compact = size <= 3
+      ? Number(target << BigInt(8 * (3 - size)))
+      : Number(target >> BigInt(8 * (size - 3)));
+    // The mantissa's high bit is a sign bit; shift it out rather than encode a negative.
+    if (compact & 0x00800000) { compact >>>= 8; size++; }
+    return ((size << 24) | compact) >>> 0;
+  }
+
+  // Index of the median-timestamp header among i-2, i-1, i (GetSuitableBlock).
+  function suitableIndex(headers, i) {
+    const b = [i - 2, i - 1, i];
+    let t;
+    if (headers[b[0]].timestamp > headers[b[2]].timestamp) { t = b[0]; b[0] = b[2]; b[2] = t; }
+    if (headers[b[0]].timestamp > headers[b[1]].timestamp) { t = b[0]; b[0] = b[1]; b[1] = t; }
+    if (headers[b[1]].timestamp > headers[b[2]].timestamp) { t = b[1]; b[1] = b[2]; b[2] = t; }
+    return b[1];
+  }
+
+  /**
+   * Recompute the nBits the DAA requires for headers[index] from its predecessors.
+   * Pure: headers only need { timestamp, target } (plus nBits on networks without
+   * retargeting); chainWork[k] is the cumulative work through headers[k] (any common
+   * base — only differences are used). Applies the selected network's special rules:
+   * regtest never retargets, testnet allows a pow-limit block after a 20-minute gap.
+   * @param {Array<{timestamp:number,target:BigInt}>} headers
+   * @param {number} index - must be >= DAA_CONTEXT
+   * @param {Array<BigInt>} chainWork
+   * @returns {number} expected nBits
+   */
+  function expectedNBits(headers, index, chainWork) {
+    if (index < DAA_CONTEXT) throw new Error('DAA needs ' + DAA_CONTEXT + ' preceding headers');
+    if (NETWORK.noRetargeting) return headers[index - 1].nBits;
+    if (NETWORK.allowMinDifficultyBlocks &&
+        headers[index].timestamp > headers[index - 1].timestamp + 2 * TARGET_SPACING) {
+      return nBitsFromTarget(POW_LIMIT);
+    }
+    const last = suitableIndex(headers, index - 1);
+    const first = suitableIndex(headers, index - 1 - DAA_WINDOW);
+    let timespan = headers[last].timestamp - headers[first].timestamp;
+    if (timespan < 72 * TARGET_SPACING) timespan = 72 * TARGET_SPACING;
+    if (timespan > 288 * TARGET_SPACING) timespan = 288 * TARGET_SPACING;
+    const work = (chainWork[last] - chainWork[first]) * BigInt(TARGET_SPACING) / BigInt(timespan);
+    let target = ((1n << 256n) - work) / work;
+    if (target > POW_LIMIT) target = POW_LIMIT;
+    return nBitsFromTarget(target);
+  }
+
+  /**
+   * Enforce the DAA over a contiguous run of parsed headers. Pure and side-effect free
+   * (throws on the first violation), mirroring enforceChainFloor(). Headers without a
+   * full DAA_CONTEXT of predecessors in the array are skipped — the caller must gate
+   * those some other way (verifyHeaderChain keeps the static floor on them).
+   * @param {Array<{height:number,nBits:number,timestamp:number,target:BigInt}>} headers
+   * @returns {{ checked: number, fromHeight: number|null }}
+   * @throws if any checkable header's nBits differs from the DAA result
+   */
+  function enforceDifficultyAdjustment(headers) {
+    const chainWork = [];
+    let acc = 0n;
+    for (let i = 0; i < headers.length; i++) {
+      acc += workFromTarget(headers[i].target);
+      chainWork.push(acc);
+    }
+    for (let i = DAA_CONTEXT; i < headers.length; i++) {
+      const want = expectedNBits(headers, i, chainWork);
+      if (headers[i].nBits !== want) {
+        throw new Error('Header at ' + headers[i].height + ' has nBits 0x' + headers[i].nBits.toString(16) +
+          ', DAA requires 0x' + want.toString(16) + ' — difficulty not derived by consensus rules');
+      }
+    }
+    const checked = Math.max(0, headers.length - DAA_CONTEXT);
+    return { checked: checked, fromHeight: checked > 0 ? headers[DAA_CONTEXT].height : null };
+  }
+
   // Timestamp bounds
-  const GENESIS_TIMESTAMP = 1231006505n;
+  const GENESIS_TIMESTAMP = BigInt(NETWORK.genesisTimestamp);
   const MAX_FUTURE_SECONDS = 7200n;
 
+  // ==========================================
+  // Median-time-past (consensus timestamp rule)
+  // ==========================================
+  //
+  // Every block's timestamp must be strictly greater than the median of the previous
+  // MTP_WINDOW timestamps. As with the DAA, a header can only be checked when all of
+  // its window is in hand: a bare-hash anchor carries no timestamp, so the first
+  // headers after it are skipped unless a backward segment supplies their past.
+
+  const MTP_WINDOW = 11;
+
+  function medianOf(timestamps) {
+    const sorted = timestamps.slice().sort(function (a, b) { return a - b; });
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  /**
+   * Enforce the median-time-past rule over a contiguous, ascending run of headers.
+   * Pure and side-effect free (throws on the first violation), like
+   * enforceDifficultyAdjustment(). Headers with fewer than MTP_WINDOW predecessors in
+   * the array are skipped.
+   * @param {Array<{height:number,timestamp:number}>} headers
+   * @returns {{ checked: number, fromHeight: number|null }}
+   * @throws if any checkable header's timestamp is not after its median time past
+   */
+  function enforceMedianTimePast(headers) {
+    for (let i = MTP_WINDOW; i < headers.length; i++) {
+      const mtp = medianOf(headers.slice(i - MTP_WINDOW, i).map(function (h) { return h.timestamp; }));
+      if (headers[i].timestamp <= mtp) {
+        throw new Error('Header at ' + headers[i].height + ' has timestamp ' + headers[i].timestamp +
+          ', not after the median time past ' + mtp + ' of the previous ' + MTP_WINDOW + ' blocks');
+      }
+    }
+    const checked = Math.max(0, headers.length - MTP_WINDOW);
+    return { checked: checked, fromHeight: checked > 0 ? headers[MTP_WINDOW].height : null };
+  }
+
+  // Reject headers more than MAX_FUTURE_SECONDS ahead of the caller's clock. The clock
+  // is an explicit input so that verification stays a pure function of its arguments.
+  function enforceFutureDrift(headers, now) {
+    if (!Number.isInteger(now) || now < 0) throw new Error('now must be a unix time in whole seconds');
+    for (let i = 0; i < headers.length; i++) {
+      if (BigInt(headers[i].timestamp) > BigInt(now) + MAX_FUTURE_SECONDS) {
+        throw new Error('Header at ' + headers[i].height + ' is ' + (headers[i].timestamp - now) +
+          's ahead of the supplied clock (limit ' + MAX_FUTURE_SECONDS + 's) — future-dated header, or a wrong clock');
+      }
+    }
+  }
+
+  // The clock a load or extension is held to. In DAA mode it is never optional: past
+  // the first DAA_CONTEXT headers nothing else bounds the difficulty, and the DAA
+  // lowers it for headers dated further apart, so without a clock a forger walks the
+  // difficulty down by dating headers into the future. There the system clock stands
+  // in when the caller passes none; floor mode keeps the drift check opt-in.
+  function clockOf(options, difficultyMode) {
+    if (options && options.now !== undefined) return options.now;
+    return difficultyMode === 'daa' ? Math.floor(Date.now() / 1000) : undefined;
+  }
+
+  // The last MTP_WINDOW headers of a verified chain, ascending — the backward segment
+  // (descending from the anchor) supplies the past of the first forward headers.
+  function timeContext(chain) {
+    const past = (chain.backward || []).slice(0, MTP_WINDOW).reverse();
+    return past.concat(chain.headers.slice(-MTP_WINDOW)).slice(-MTP_WINDOW);
+  }
+
+  /**
+   * Median time past of the block at `height`: the median timestamp of that block and
+   * the MTP_WINDOW - 1 blocks before it. A later block must be timestamped after it.
+   * @param {Object} chain - verifyHeaderChain result
+   * @param {number} height
+   * @returns {number|null} unix seconds, or null when the window is not all loaded
+   */
+  function medianTimePast(chain, height) {
+    if (!chain || !chain.anchor || !Array.isArray(chain.headers)) throw new Error('medianTimePast needs a verifyHeaderChain result');
+    const timestamps = [];
+    for (let h = height - MTP_WINDOW + 1; h <= height; h++) {
+      const header = headerAt(chain, h);
+      if (!header) return null;
+      timestamps.push(header.timestamp);
+    }
+    return medianOf(timestamps);
+  }
+
   // ==========================================
   // Difficulty Floor Validation
   // ==========================================
@@ -145,8 +435,11 @@
    * @returns {{ valid: boolean, reason?: string }}
    */
   function validateDifficultyFloor(header, height) {
+    return checkDifficultyFloor(header, height, getEffectiveFloor());
+  }
+
+  function checkDifficultyFloor(header, height, floor) {
     const target = targetFromNBits(header.nBits);
-    const floor = getEffectiveFloor();
     
     // Header target must not exceed floor (lower target = harder = OK)
     if (target > floor.target) {
@@ -236,6 +529,28 @@
   }
 
   function verifyHeaderChain(bytes, expectedCheckpoint, options) {
+    const result = verifyChainBytes(bytes, expectedCheckpoint, options, STATIC_FLOOR_TARGET);
+    if (result.headers.length > 0) {
+      const tip = result.headers[result.headers.length - 1];
+      setDynamicFloor(tip.nBits, tip.height);
+    }
+    return result;
+  }
+
+  // verifyHeaderChain() without the module-level dynamic floor side effect; floorTarget
+  // is the static floor the headers are held to (a chain anchored at a listed checkpoint
+  // uses that checkpoint's floor instead; the result records it). Split into open / link / finish so the
+  // streaming verifier (streamChainBytes) runs exactly the same checks.
+  function verifyChainBytes(bytes, expectedCheckpoint, options, floorTarget) {
+    const head = openChainBytes(bytes, expectedCheckpoint, options);
+    if (bytes.length < 40 + head.headerCount * 80) throw new Error('File truncated');
+    const linked = linkHeaders(bytes, 40, head.headerCount, head.anchorHeight + 1, head.anchorHash);
+    return finishChain(head, linked.headers, linked.work, bytes.subarray(40 + head.headerCount * 80),
+      options, floorTarget);
+  }
+
+  // Read the 40-byte prefix and enforce the checkpoint anchor.
+  function openChainBytes(bytes, expectedCheckpoint, options) {
     if (bytes.length < 40) throw new Error('File too small');
     const view = new DataView(bytes.buffer, bytes.byteOffset);
     const anchorHeight = view.getUint32(0, true);
@@ -249,12 +564,24 @@
     // a loaded chain to the real network, so it must fail closed here rather than
     // being surfaced as advisory text in three separate call sites.
     // Pass { requireCheckpoint: false } explicitly to opt into the weaker mode.
+    // A checkpoint list (manifest) anchors the chain at whichever entry it starts from.
     const requireCheckpoint = !(options && options.requireCheckpoint === false);
-    let checkpointVerified = false;
-    if (expectedCheckpoint) {
+    const list = checkpointListOf(expectedCheckpoint);
+    let checkpointVerified = false, checkpoint = null;
+    if (list) {
+      checkpoint = checkCheckpointList(list, toleranceOf(options)).find(function (cp) {
+        return cp.height === anchorHeight && cp.hash === anchorHash.toLowerCase();
+      }) || null;
+      checkpointVerified = checkpoint !== null;
+      if (!checkpointVerified && requireCheckpoint) {
+        throw new Error('Header chain anchor (' + anchorHeight + '/' + anchorHash.slice(0, 16) + '…) matches none of the ' +
+          list.length + ' trusted checkpoints. Refusing a chain not rooted at a trusted checkpoint.');
+      }
+    } else if (expectedCheckpoint) {
       if (anchorHeight === expectedCheckpoint.height &&
           anchorHash.toLowerCase() === expectedCheckpoint.hash.toLowerCase()) {
         checkpointVerified = true;
+        checkpoint = expectedCheckpoint;
       } else if (requireCheckpoint) {
         throw new Error('Header chain anchor does not match embedded checkpoint ' +
           '(' + expectedCheckpoint.height + '/' + expectedCheckpoint.hash.slice(0, 16) + '…). ' +
@@ -263,15 +590,142 @@
     } else if (requireCheckpoint) {
       throw new Error('No checkpoint supplied to verifyHeaderChain; cannot anchor chain');
     }
+    const difficultyMode = (options && options.difficultyMode) || 'floor';
+    if (difficultyMode !== 'floor' && difficultyMode !== 'daa') {
+      throw new Error('Unknown difficultyMode: ' + difficultyMode);
+    }
+    return { anchorHeight, anchorHash, headerCount, checkpointVerified, checkpoint, fromList: list !== null, difficultyMode };
+  }
+
+  // Everything after the forward headers are linked: the optional backward trailer,
+  // indexes, timestamp rules and the difficulty policy. `trailer` is the bytes that
+  // follow the forward headers.
+  function finishChain(head, headers, cumulativeWork, trailer, options, defaultFloor) {
+    const anchorHeight = head.anchorHeight, anchorHash = head.anchorHash, checkpointVerified = head.checkpointVerified;
+    // Anchored at a listed checkpoint: the headers answer to that checkpoint's floor.
+    const floorTarget = head.fromList && checkpointVerified
+      ? targetFromNBits(head.checkpoint.nBits) * BigInt(toleranceOf(options)) : defaultFloor;
+    const hashIndex = new Map(), rootIndex = new Map();
+    headers.forEach(function (h) { hashIndex.set(h.hash.toLowerCase(), h.height); rootIndex.set(h.merkleRoot, h.height); });
 
-    if (bytes.length < 40 + headerCount * 80) throw new Error('File truncated');
+    // Optional descending segment for pre-anchor history (see linkHeadersBackward).
+    const backward = linkHeadersBackward(trailer, 0, anchorHeight, anchorHash);
+    if (backward.length > 0 && checkpointVerified && backward[0].nBits !== head.checkpoint.nBits) {
+      throw new Error('Checkpoint header nBits 0x' + backward[0].nBits.toString(16) +
+        ' does not match the pinned checkpoint nBits 0x' + head.checkpoint.nBits.toString(16));
+    }
+    backward.forEach(function (h) { hashIndex.set(h.hash.toLowerCase(), h.height); rootIndex.set(h.merkleRoot, h.height); });
 
-    const headers = [], hashIndex = new Map();
-    let prevHash = anchorHash, cumulativeWork = 0n, offset = 40;
-    let tipNBits = null;
+    // Median-time-past over every forward header whose window is known (consensus);
+    // future drift against the caller's clock, or the system clock in DAA mode.
+    const mtp = enforceMedianTimePast(backward.slice(0, MTP_WINDOW).reverse().concat(headers));
+    const now = clockOf(options, head.difficultyMode);
+    if (now !== undefined) enforceFutureDrift(headers, now);
 
-    for (let i = 0; i < headerCount; i++) {
-      const height = anchorHeight + 1 + i;
+    // Difficulty floor — enforced PER HEADER (policy review). chainInclusion() can
+    // report "verified" for ANY header in hashIndex, so the floor must hold for every
+    // admitted header, not just the tip; this prevents amortising one expensive
+    // floor-difficulty tip across many cheap forged intermediate headers. Single
+    // enforcement path via enforceChainFloor() (pure, testable). Uses STATIC_FLOOR_TARGET
+    // (checkpoint difficulty), never the dynamic/effective floor, so a low-difficulty
+    // header cannot lower the bar for the others.
+    //
+    // Accepted trade-off: a LEGITIMATE chain containing a header genuinely >8x easier
+    // than the checkpoint (e.g. a real BSV hashrate crash spanning several max DAA
+    // reductions) is rejected. This fails CLOSED — the caller drops to isolation, a
+    // supported honest mode, never to a false "verified". Consistent with "false
+    // negative over false positive". The opt-in DAA mode below removes the
+    // false-negative with consensus rules rather than a heuristic. Do NOT substitute
+    // a relative/rolling floor: that reopens the
+    // gradual walk-down weakness fixed in snapshot.js. Strength depends on
+    // CHECKPOINT.nBits being a real, current difficulty — verify the checkpoint value.
+    //
+    // Opt-in { difficultyMode: 'daa' } replaces the heuristic with consensus: every
+    // header with a full DAA window inside the file must carry exactly the nBits the
+    // DAA derives from its predecessors, and is then exempt from the static floor (so
+    // a genuine hashrate crash no longer fails closed). The leading DAA_CONTEXT headers
+    // cannot be recomputed from a bare-hash anchor and remain floor-gated.
+    const difficultyMode = head.difficultyMode;
+    let daa = null;
+    if (difficultyMode === 'daa') {
+      daa = enforceDifficultyAdjustment(headers);
+      enforceChainFloor(headers.slice(0, DAA_CONTEXT), floorTarget);
+    } else {
+      enforceChainFloor(headers, floorTarget);
+    }
+
+    return {
+      anchor: { height: anchorHeight, hash: anchorHash },
+      checkpointVerified,
+      checkpoint: head.checkpoint ? { height: head.checkpoint.height, hash: head.checkpoint.hash, nBits: head.checkpoint.nBits } : null,
+      floorTarget,
+      headers, hashIndex, rootIndex,
+      tipHeight: headers.length > 0 ? headers[headers.length - 1].height : anchorHeight,
+      tipHash: headers.length > 0 ? headers[headers.length - 1].hash : anchorHash,
+      cumulativeWork,
+      difficultyMode,
+      daaVerifiedFrom: daa ? daa.fromHeight : null,
+      mtpVerifiedFrom: mtp.fromHeight,
+      backward,
+      backwardFrom: backward.length > 0 ? backward[backward.length - 1].height : null,
+      network: NETWORK.name
+    };
+  }
+
+  // ==========================================
+  // Backward segment (pre-checkpoint history)
+  // ==========================================
+  //
+  // headers.bin may end with a descending run of headers that links BACKWARDS from the
+  // anchor:
+  //   [4] magic "BKWD"  [4] count (LE)  [count × 80] headers, highest first
+  // The first header is the anchor block itself (its hash must equal the anchor hash);
+  // each following header's hash must equal the previous header's prevBlock. Every
+  // header is therefore committed to by the pinned checkpoint hash: substituting one
+  // needs a hash preimage, not proof-of-work. For that reason the difficulty floor
+  // and DAA are NOT applied here — older blocks are legitimately far easier than the
+  // checkpoint — and the segment adds nothing to cumulativeWork. Each header's PoW is
+  // still checked against its own nBits as a sanity check.
+
+  const BACKWARD_MAGIC = [0x42, 0x4b, 0x57, 0x44]; // "BKWD"
+
+  function linkHeadersBackward(bytes, offset, anchorHeight, anchorHash) {
+    if (bytes.length === offset) return [];
+    if (bytes.length < offset + 8 || !BACKWARD_MAGIC.every(function (b, i) { return bytes[offset + i] === b; })) {
+      throw new Error('Unexpected data after the headers (not a backward segment)');
+    }
+    const count = new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset + 4, true);
+    if (bytes.length !== offset + 8 + count * 80) {
+      throw new Error('Backward segment length does not match its header count');
+    }
+    if (count > anchorHeight + 1) throw new Error('Backward segment runs below the genesis block');
+    const headers = [];
+    let expectHash = anchorHash;
+    for (let i = 0; i < count; i++) {
+      const height = anchorHeight - i;
+      const at = offset + 8 + i * 80;
+      const headerHex = global.bytesToHex(bytes.slice(at, at + 80));
+      const header = parseHeader(headerHex);
+      const hash = hashHeader(headerHex);
+      if (hash.toLowerCase() !== expectHash.toLowerCase()) {
+        throw new Error('Backward chain break at ' + height + ' (hash is not the prevBlock of ' + (height + 1) + ')');
+      }
+      const target = targetFromNBits(header.nBits);
+      if (BigInt('0x' + hash) > target) throw new Error('Invalid PoW at ' + height);
+      headers.push({ height, hash, raw: headerHex, nBits: header.nBits, timestamp: header.timestamp, target,
+        merkleRoot: header.merkleRoot });
+      expectHash = header.prevBlock;
+    }
+    return headers;
+  }
+
+  // Parse `count` 80-byte headers at `offset`, checking linkage from prevHash and each
+  // header's PoW against its own nBits. Difficulty policy is the caller's job.
+  function linkHeaders(bytes, offset, count, startHeight, prevHash) {
+    const headers = [];
+    let work = 0n;
+    for (let i = 0; i < count; i++) {
+      const height = startHeight + i;
       const headerHex = global.bytesToHex(bytes.slice(offset, offset + 80));
       const header = parseHeader(headerHex);
       
@@ -287,48 +741,464 @@
         throw new Error('Invalid PoW at ' + height);
       }
 
-      cumulativeWork += workFromTarget(target);
-      headers.push({ height, hash, raw: headerHex, nBits: header.nBits, target });
-      hashIndex.set(hash.toLowerCase(), height);
+      work += workFromTarget(target);
+      headers.push({ height, hash, raw: headerHex, nBits: header.nBits, timestamp: header.timestamp, target,
+        merkleRoot: header.merkleRoot });
       prevHash = hash;
-      tipNBits = header.nBits;
       offset += 80;
     }
+    return { headers: headers, work: work };
+  }
 
-    // Difficulty floor — enforced PER HEADER (policy review). chainInclusion() can
-    // report "verified" for ANY header in hashIndex, so the floor must hold for every
-    // admitted header, not just the tip; this prevents amortising one expensive
-    // floor-difficulty tip across many cheap forged intermediate headers. Single
-    // enforcement path via enforceChainFloor() (pure, testable). Uses STATIC_FLOOR_TARGET
-    // (checkpoint difficulty), never the dynamic/effective floor, so a low-difficulty
-    // header cannot lower the bar for the others.
-    //
-    // Accepted trade-off: a LEGITIMATE chain containing a header genuinely >8x easier
-    // than the checkpoint (e.g. a real BSV hashrate crash spanning several max DAA
-    // reductions) is rejected. This fails CLOSED — the caller drops to isolation, a
-    // supported honest mode, never to a false "verified". Consistent with "false
-    // negative over false positive". Full retarget-aware (DAA) difficulty validation
-    // would remove the false-negative but is out of scope (not full SPV; see
-    // THREAT-MODEL). Do NOT substitute a relative/rolling floor: that reopens the
-    // gradual walk-down weakness fixed in snapshot.js. Strength depends on
-    // CHECKPOINT.nBits being a real, current difficulty — verify the checkpoint value.
-    enforceChainFloor(headers, STATIC_FLOOR_TARGET);
+  // ==========================================
+  // Streaming verification
+  // ==========================================
+  //
+  // Hashing a year of headers with the pure-JS SHA-256 takes long enough to freeze a
+  // page. streamChainBytes() reads the file in chunks, links CHUNK_HEADERS headers at a
+  // time and yields to the event loop in between, so a page stays responsive, progress
+  // can be shown and the work can be cancelled. It runs openChainBytes / linkHeaders /
+  // finishChain exactly as verifyChainBytes does, so the result is identical.
+
+  const CHUNK_HEADERS = 2000;
+
+  // Pull-style reader over a Uint8Array, a Blob/File, a ReadableStream or any (async)
+  // iterable of Uint8Array chunks. read() resolves to the next chunk, or null at the end.
+  function chunkReader(source) {
+    if (source instanceof Uint8Array) {
+      let done = false;
+      return { read: function () { const c = done ? null : source; done = true; return Promise.resolve(c); } };
+    }
+    if (source && typeof source.stream === 'function') source = source.stream();
+    if (source && typeof source.getReader === 'function') {
+      const reader = source.getReader();
+      return { read: function () { return reader.read().then(function (r) { return r.done ? null : r.value; }); } };
+    }
+    const iterable = source && (source[Symbol.asyncIterator] || source[Symbol.iterator]);
+    if (!iterable) throw new Error('Header chain source must be bytes, a Blob, a stream or an iterable of chunks');
+    const it = iterable.call(source);
+    return { read: function () { return Promise.resolve(it.next()).then(function (r) { return r.done ? null : r.value; }); } };
+  }
+
+  function yieldToEventLoop() {
+    return new Promise(function (resolve) { setTimeout(resolve, 0); });
+  }
+
+  async function streamChainBytes(source, expectedCheckpoint, options, floorTarget) {
+    const opts = options || {};
+    const chunkHeaders = opts.chunkHeaders || CHUNK_HEADERS;
+    if (!Number.isInteger(chunkHeaders) || chunkHeaders < 1) throw new Error('chunkHeaders must be a positive integer');
+    const reader = chunkReader(source);
+    let buf = new Uint8Array(0), ended = false;
+
+    // Ensure at least n buffered bytes (fewer only at the end of the source).
+    async function fill(n) {
+      while (buf.length < n && !ended) {
+        const chunk = await reader.read();
+        if (chunk === null) { ended = true; break; }
+        if (!(chunk instanceof Uint8Array)) throw new Error('Header chain chunks must be Uint8Array');
+        if (buf.length === 0) { buf = chunk; continue; }
+        const joined = new Uint8Array(buf.length + chunk.length);
+        joined.set(buf); joined.set(chunk, buf.length);
+        buf = joined;
+      }
+    }
+    function checkCancelled() {
+      if (opts.signal && opts.signal.aborted) throw new Error('Header chain verification cancelled');
+    }
 
-    if (headers.length > 0) {
-      const tip = headers[headers.length - 1];
+    await fill(40);
+    const head = openChainBytes(buf, expectedCheckpoint, opts);
+    buf = buf.subarray(40);
+
+    const headers = [];
+    let work = 0n, prevHash = head.anchorHash, height = head.anchorHeight + 1;
+    for (let done = 0; done < head.headerCount;) {
+      checkCancelled();
+      const n = Math.min(chunkHeaders, head.headerCount - done);
+      await fill(n * 80);
+      if (buf.length < n * 80) throw new Error('File truncated');
+      const linked = linkHeaders(buf, 0, n, height, prevHash);
+      for (let i = 0; i < linked.headers.length; i++) headers.push(linked.headers[i]);
+      work += linked.work;
+      prevHash = headers[headers.length - 1].hash;
+      height += n;
+      done += n;
+      buf = buf.subarray(n * 80);
+      if (opts.onProgress) opts.onProgress({ verified: done, total: head.headerCount });
+      await yieldToEventLoop();
+    }
+    checkCancelled();
+
+    await fill(Infinity);
+    return finishChain(head, headers, work, buf, opts, floorTarget);
+  }
+
+  /**
+   * verifyHeaderChain() over a large file without blocking the page. Accepts the same
+   * bytes, or a Blob/File, ReadableStream or (async) iterable of Uint8Array chunks, and
+   * resolves to exactly the result verifyHeaderChain would return (rejecting where it
+   * would throw). Like verifyHeaderChain it raises the module-level dynamic floor.
+   * @param {Uint8Array|Blob|ReadableStream|AsyncIterable<Uint8Array>} source
+   * @param {Object|Array} expectedCheckpoint - a checkpoint, checkpoint array or loaded manifest
+   * @param {Object} [options] - verifyHeaderChain options, plus:
+   *   onProgress({verified, total}) after each chunk; signal (AbortSignal) to cancel;
+   *   chunkHeaders (default 2000) headers linked between yields
+   * @returns {Promise<Object>}
+   */
+  async function verifyHeaderChainStream(source, expectedCheckpoint, options) {
+    const result = await streamChainBytes(source, expectedCheckpoint, options, STATIC_FLOOR_TARGET);
+    if (result.headers.length > 0) {
+      const tip = result.headers[result.headers.length - 1];
       setDynamicFloor(tip.nBits, tip.height);
     }
+    return result;
+  }
+
+  // ==========================================
+  // Incremental extension (headers delta)
+  // ==========================================
+  //
+  // Delta file layout — headers.bin with a magic prefix, based on the chain TIP
+  // rather than the checkpoint:
+  //   [4]  magic "HDLT"
+  //   [4]  base height (LE)  — height of the tip the delta extends
+  //   [32] base hash         — display order, as in headers.bin
+  //   [4]  header count (LE)
+  //   [N × 80] headers
+  // The magic keeps a delta from being mistaken for a full headers.bin (whose anchor
+  // check would reject it anyway).
 
+  const HEADERS_DELTA_MAGIC = [0x48, 0x44, 0x4c, 0x54]; // "HDLT"
+
+  // Locate the headers inside a delta file or a bare run of 80-byte headers.
+  function parseHeadersDelta(bytes) {
+    const isDelta = bytes.length >= 4 && HEADERS_DELTA_MAGIC.every(function (b, i) { return bytes[i] === b; });
+    if (!isDelta) {
+      if (bytes.length % 80 !== 0) throw new Error('Not a headers delta file or whole 80-byte headers');
+      return { baseHeight: null, baseHash: null, offset: 0, count: bytes.length / 80 };
+    }
+    if (bytes.length < 44) throw new Error('Headers delta too small');
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const count = view.getUint32(40, true);
+    if (bytes.length !== 44 + count * 80) throw new Error('Headers delta length does not match its header count');
     return {
-      anchor: { height: anchorHeight, hash: anchorHash },
-      checkpointVerified,
-      headers, hashIndex,
-      tipHeight: headers.length > 0 ? headers[headers.length - 1].height : anchorHeight,
-      tipHash: headers.length > 0 ? headers[headers.length - 1].hash : anchorHash,
-      cumulativeWork
+      baseHeight: view.getUint32(4, true),
+      baseHash: global.bytesToHex(bytes.slice(8, 40)),
+      offset: 44,
+      count: count
     };
   }
 
+  /**
+   * Append new headers to an already-verified chain, validating ONLY the new segment:
+   * linkage from the current tip, per-header PoW, and the chain's difficulty policy
+   * (floor, or DAA using the tip's last DAA_CONTEXT headers as context). The result is
+   * the same as verifying the whole extended file from the checkpoint.
+   *
+   * The chain is extended IN PLACE, and only once the whole segment has validated — on
+   * any error it is left unchanged. Like verifyHeaderChain, this raises the module-level
+   * dynamic floor to the new tip; createVerifier().extendChain() does not.
+   * @param {Object} verifiedChain - verifyHeaderChain result
+   * @param {Uint8Array} newHeaderBytes - headers delta file (base = current tip) or bare N×80-byte headers
+   * @param {{now?:number}} [options] - now: caller clock (unix seconds) for the future-drift check;
+   *   a DAA-mode chain is held to the system clock when it is omitted
+   * @returns {Object} verifiedChain, extended
+   */
+  function extendHeaderChain(verifiedChain, newHeaderBytes, options) {
+    const chain = extendChainWith(verifiedChain, newHeaderBytes, STATIC_FLOOR_TARGET, options);
+    if (chain.headers.length > 0) {
+      const tip = chain.headers[chain.headers.length - 1];
+      setDynamicFloor(tip.nBits, tip.height);
+    }
+    return chain;
+  }
+
+  function extendChainWith(chain, bytes, defaultFloor, options) {
+    if (!chain || !Array.isArray(chain.headers) || !(chain.hashIndex instanceof Map) ||
+        typeof chain.cumulativeWork !== 'bigint') {
+      throw new Error('extendHeaderChain needs a verifyHeaderChain result');
+    }
+    // New headers answer to the floor the chain was verified under (its checkpoint's).
+    const floorTarget = typeof chain.floorTarget === 'bigint' ? chain.floorTarget : defaultFloor;
+    if (chain.difficultyMode !== 'floor' && chain.difficultyMode !== 'daa') {
+      throw new Error('Unknown difficultyMode: ' + chain.difficultyMode);
+    }
+    const delta = parseHeadersDelta(bytes);
+    if (delta.baseHeight !== null &&
+        (delta.baseHeight !== chain.tipHeight || delta.baseHash.toLowerCase() !== chain.tipHash.toLowerCase())) {
+      throw new Error('Headers delta is based on ' + delta.baseHeight + ', chain tip is ' + chain.tipHeight +
+        ' — apply deltas in order to the chain they were made for');
+    }
+    const added = linkHeaders(bytes, delta.offset, delta.count, chain.tipHeight + 1, chain.tipHash);
+
+    // Same policy as verifyHeaderChain over the whole file: in DAA mode, new headers
+    // that still fall within the chain's first DAA_CONTEXT stay floor-gated.
+    let daaVerifiedFrom = chain.daaVerifiedFrom;
+    if (chain.difficultyMode === 'daa') {
+      const daa = enforceDifficultyAdjustment(chain.headers.slice(-DAA_CONTEXT).concat(added.headers));
+      enforceChainFloor(added.headers.slice(0, Math.max(0, DAA_CONTEXT - chain.headers.length)), floorTarget);
+      if (daaVerifiedFrom === null) daaVerifiedFrom = daa.fromHeight;
+    } else {
+      enforceChainFloor(added.headers, floorTarget);
+    }
+
+    const mtp = enforceMedianTimePast(timeContext(chain).concat(added.headers));
+    const now = clockOf(options, chain.difficultyMode);
+    if (now !== undefined) enforceFutureDrift(added.headers, now);
+
+    added.headers.forEach(function (h) {
+      chain.headers.push(h);
+      chain.hashIndex.set(h.hash.toLowerCase(), h.height);
+      if (chain.rootIndex) chain.rootIndex.set(h.merkleRoot, h.height);
+    });
+    if (added.headers.length > 0) {
+      chain.tipHeight = added.headers[added.headers.length - 1].height;
+      chain.tipHash = added.headers[added.headers.length - 1].hash;
+    }
+    chain.cumulativeWork += added.work;
+    chain.daaVerifiedFrom = daaVerifiedFrom;
+    if (chain.mtpVerifiedFrom === null || chain.mtpVerifiedFrom === undefined) chain.mtpVerifiedFrom = mtp.fromHeight;
+    return chain;
+  }
+
+  // ==========================================
+  // Random access by height and Merkle root
+  // ==========================================
+  //
+  // headers.bin holds fixed 80-byte records in height order, so a height maps to its
+  // header by arithmetic: forward header h is record h − anchor − 1 (file offset
+  // 40 + 80 × that), backward header h is record anchor − h of the trailer. A verified
+  // chain also keeps merkleRoot → height (rootIndex), filled while the chain is
+  // verified and kept current by extendHeaderChain.
+  //
+  // The companion index file stores both maps, so a large headers.bin answers lookups
+  // without being re-verified or held in memory as parsed records:
+  //   [4] magic "HIDX"  [4] version (1)
+  //   [32] SHA-256 of the headers.bin it indexes
+  //   [4] anchor height  [4] forward count  [4] file offset of the first forward header
+  //   [4] backward count  [4] file offset of the first backward header (0 without one)
+  //   [(forward + backward) × 36] Merkle root (header byte order) + height (LE), sorted by root
+  // Height → offset is a base offset plus 80 bytes per record. A lookup is only as good
+  // as the PoW and linkage checks behind it, so an index is built only from a chain
+  // verified in this session, and opened only against a headers.bin whose SHA-256 the
+  // caller pins (the one buildHeaderIndex returned). Opening also checks every entry
+  // against the header it names, so a tampered or mismatched index is refused instead
+  // of misdirecting a lookup.
+
+  /**
+   * Header of a verified chain at `height`, from the forward run or the backward segment.
+   * @param {Object} chain - verifyHeaderChain result, or an openHeaderIndex result
+   * @param {number} height
+   * @returns {{height:number,hash:string,raw:string,nBits:number,timestamp:number,target:BigInt,merkleRoot:string}|null}
+   *   a copy of the header record, or null when the height is not loaded
+   */
+  function getHeaderByHeight(chain, height) {
+    const opened = openIndexes.get(chain);
+    if (opened) return indexedHeader(opened, height);
+    if (!chain || !chain.anchor || !Array.isArray(chain.headers)) throw new Error('getHeaderByHeight needs a verifyHeaderChain result');
+    const header = headerAt(chain, height);
+    return header ? Object.assign({}, header) : null;
+  }
+
+  // The chain's own header record at `height` (not a copy), or null.
+  function headerAt(chain, height) {
+    if (!Number.isInteger(height) || height < 0) return null;
+    const anchorHeight = chain.anchor.height;
+    const header = height > anchorHeight ? chain.headers[height - anchorHeight - 1] : (chain.backward || [])[anchorHeight - height];
+    return header && header.height === height ? header : null;
+  }
+
+  /**
+   * Height of the loaded block whose header commits to `merkleRoot`.
+   * @param {Object} chain - verifyHeaderChain result, or an openHeaderIndex result
+   * @param {string} merkleRoot - display-order hex (as BUMP.merkleRoot and parseHeader return it)
+   * @returns {number|null}
+   */
+  function findHeightByMerkleRoot(chain, merkleRoot) {
+    const opened = openIndexes.get(chain);
+    if (opened) return indexedHeight(opened, merkleRoot);
+    if (!chain || !(chain.rootIndex instanceof Map)) throw new Error('findHeightByMerkleRoot needs a verifyHeaderChain result');
+    const height = chain.rootIndex.get(String(merkleRoot).toLowerCase());
+    return height === undefined ? null : height;
+  }
+
+  const HEADERS_INDEX_MAGIC = [0x48, 0x49, 0x44, 0x58]; // "HIDX"
+  const INDEX_PREFIX = 60, INDEX_ENTRY = 36;
+  // openHeaderIndex results → their private copies of both files. Only an index that
+  // opened here answers lookups; a look-alike object is not in this map.
+  const openIndexes = new WeakMap();
+
+  // Where a headers.bin keeps its records: anchor, counts and the offset of each run.
+  function headersLayout(bytes) {
+    if (!(bytes instanceof Uint8Array) || bytes.length < 40) throw new Error('headers.bin must be at least 40 bytes');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const anchorHeight = view.getUint32(0, true), forwardCount = view.getUint32(36, true);
+    const end = 40 + forwardCount * 80;
+    let backwardCount = 0, backwardOffset = 0;
+    if (bytes.length !== end) {
+      if (bytes.length < end + 8 || !BACKWARD_MAGIC.every(function (b, i) { return bytes[end + i] === b; })) {
+        throw new Error('headers.bin length does not match its header count');
+      }
+      backwardCount = view.getUint32(end + 4, true);
+      backwardOffset = end + 8;
+      if (bytes.length !== backwardOffset + backwardCount * 80) throw new Error('Backward segment length does not match its header count');
+    }
+    return { anchorHeight: anchorHeight, forwardCount: forwardCount, forwardOffset: 40,
+      backwardCount: backwardCount, backwardOffset: backwardOffset };
+  }
+
+  // File offset of the header at `height`, or -1 when the file does not hold it.
+  function recordOffset(layout, height) {
+    const anchor = layout.anchorHeight;
+    if (height > anchor && height <= anchor + layout.forwardCount) return layout.forwardOffset + (height - anchor - 1) * 80;
+    if (height <= anchor && height > anchor - layout.backwardCount) return layout.backwardOffset + (anchor - height) * 80;
+    return -1;
+  }
+
+  function compareBytes(a, b) {
+    for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] - b[i];
+    return 0;
+  }
+
+  /**
+   * Build the companion index of a headers.bin from the chain verified from it.
+   * @param {Object} chain - verifyHeaderChain result for exactly `headersBytes` (not extended)
+   * @param {Uint8Array} headersBytes - the headers.bin the chain was verified from
+   * @returns {{bytes:Uint8Array, headersSha256:string}} the index file, and the headers.bin
+   *   SHA-256 to pin when opening it (openHeaderIndex)
+   * @throws if the bytes are not the file the chain was verified from
+   */
+  function buildHeaderIndex(chain, headersBytes) {
+    if (!chain || !chain.anchor || !Array.isArray(chain.headers)) throw new Error('buildHeaderIndex needs a verifyHeaderChain result');
+    const layout = headersLayout(headersBytes);
+    const records = chain.headers.concat(chain.backward || []);
+    const mismatch = new Error('buildHeaderIndex: headers.bin is not the file this chain was verified from');
+    if (layout.anchorHeight !== chain.anchor.height || layout.forwardCount !== chain.headers.length ||
+        layout.backwardCount !== records.length - chain.headers.length) {
+      throw mismatch;
+    }
+    const entries = records.map(function (h) {
+      const at = recordOffset(layout, h.height);
+      if (at < 0 || global.bytesToHex(headersBytes.subarray(at, at + 80)) !== h.raw.toLowerCase()) throw mismatch;
+      return { root: headersBytes.subarray(at + 36, at + 68), height: h.height };
+    });
+    entries.sort(function (a, b) { return compareBytes(a.root, b.root) || a.height - b.height; });
+
+    const headersSha256 = global.bytesToHex(global.SHA256.hash(headersBytes));
+    const out = new Uint8Array(INDEX_PREFIX + entries.length * INDEX_ENTRY);
+    const view = new DataView(out.buffer);
+    out.set(HEADERS_INDEX_MAGIC, 0);
+    view.setUint32(4, 1, true);
+    out.set(global.hexToBytes(headersSha256), 8);
+    view.setUint32(40, layout.anchorHeight, true);
+    view.setUint32(44, layout.forwardCount, true);
+    view.setUint32(48, layout.forwardOffset, true);
+    view.setUint32(52, layout.backwardCount, true);
+    view.setUint32(56, layout.backwardOffset, true);
+    entries.forEach(function (e, i) {
+      out.set(e.root, INDEX_PREFIX + i * INDEX_ENTRY);
+      view.setUint32(INDEX_PREFIX + i * INDEX_ENTRY + 32, e.height, true);
+    });
+    return { bytes: out, headersSha256: headersSha256 };
+  }
+
+  /**
+   * Open a companion index against its headers.bin, for lookups without re-verifying.
+   * @param {Uint8Array} indexBytes - the index file (buildHeaderIndex().bytes)
+   * @param {Uint8Array} headersBytes - the headers.bin it indexes
+   * @param {string} pinnedSha256 - SHA-256 of headersBytes (64 hex) from buildHeaderIndex when
+   *   its chain verified; the only thing vouching for these headers, so keep it independently
+   * @param {Object|Array} expectedCheckpoint - checkpoint, list or manifest the file must anchor at
+   * @param {{requireCheckpoint?:boolean}} [options]
+   * @returns {{anchor:{height:number,hash:string}, tipHeight:number, backwardFrom:number|null,
+   *   headersSha256:string}} frozen; pass it to getHeaderByHeight and findHeightByMerkleRoot
+   * @throws on an unpinned or mismatched headers.bin, or an index that does not match it
+   */
+  function openHeaderIndex(indexBytes, headersBytes, pinnedSha256, expectedCheckpoint, options) {
+    if (typeof pinnedSha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(pinnedSha256.trim())) {
+      throw new Error('Header index needs the pinned SHA-256 of its headers.bin (64 hex characters)');
+    }
+    if (!(indexBytes instanceof Uint8Array) || !(headersBytes instanceof Uint8Array)) {
+      throw new Error('Header index and headers.bin must be bytes');
+    }
+    const pin = pinnedSha256.trim().toLowerCase();
+    const digest = global.bytesToHex(global.SHA256.hash(headersBytes));
+    if (digest !== pin) {
+      throw new Error('headers.bin SHA-256 ' + digest.slice(0, 16) + '… does not match the pinned ' + pin.slice(0, 16) +
+        '… — refusing headers that were not verified');
+    }
+    const head = openChainBytes(headersBytes, expectedCheckpoint, options);
+    const layout = headersLayout(headersBytes);
+
+    const view = new DataView(indexBytes.buffer, indexBytes.byteOffset, indexBytes.byteLength);
+    if (indexBytes.length < INDEX_PREFIX || !HEADERS_INDEX_MAGIC.every(function (b, i) { return indexBytes[i] === b; }) ||
+        view.getUint32(4, true) !== 1) {
+      throw new Error('Not a version 1 header index (magic "HIDX")');
+    }
+    if (global.bytesToHex(indexBytes.subarray(8, 40)) !== pin) throw new Error('Header index was built for a different headers.bin');
+    if (view.getUint32(40, true) !== layout.anchorHeight || view.getUint32(44, true) !== layout.forwardCount ||
+        view.getUint32(48, true) !== layout.forwardOffset || view.getUint32(52, true) !== layout.backwardCount ||
+        view.getUint32(56, true) !== layout.backwardOffset) {
+      throw new Error('Header index layout does not match its headers.bin');
+    }
+    const total = layout.forwardCount + layout.backwardCount;
+    if (indexBytes.length !== INDEX_PREFIX + total * INDEX_ENTRY) throw new Error('Header index length does not match its entry count');
+    // One entry per height, each naming its own header's root, in (root, height) order.
+    const seen = new Uint8Array(total);
+    for (let i = 0; i < total; i++) {
+      const at = INDEX_PREFIX + i * INDEX_ENTRY, height = view.getUint32(at + 32, true);
+      const offset = recordOffset(layout, height);
+      if (offset < 0) throw new Error('Header index names height ' + height + ', which its headers.bin does not hold');
+      const slot = height > layout.anchorHeight ? height - layout.anchorHeight - 1 : layout.forwardCount + layout.anchorHeight - height;
+      if (seen[slot]) throw new Error('Header index lists height ' + height + ' twice');
+      seen[slot] = 1;
+      if (compareBytes(indexBytes.subarray(at, at + 32), headersBytes.subarray(offset + 36, offset + 68)) !== 0) {
+        throw new Error('Header index entry for height ' + height + ' does not match its header');
+      }
+      if (i > 0 && (compareBytes(indexBytes.subarray(at - INDEX_ENTRY, at - 4), indexBytes.subarray(at, at + 32)) ||
+          view.getUint32(at - 4, true) - height) >= 0) {
+        throw new Error('Header index is not sorted by Merkle root');
+      }
+    }
+    const opened = Object.freeze({
+      anchor: Object.freeze({ height: head.anchorHeight, hash: head.anchorHash }),
+      tipHeight: layout.anchorHeight + layout.forwardCount,
+      backwardFrom: layout.backwardCount > 0 ? layout.anchorHeight - layout.backwardCount + 1 : null,
+      headersSha256: pin
+    });
+    // Private copies: bytes changed by the caller after opening must not answer lookups.
+    openIndexes.set(opened, { headers: headersBytes.slice(), index: indexBytes.slice(), layout: layout, total: total });
+    return opened;
+  }
+
+  // getHeaderByHeight() on an opened index: the record read straight from headers.bin.
+  function indexedHeader(opened, height) {
+    if (!Number.isInteger(height) || height < 0) return null;
+    const offset = recordOffset(opened.layout, height);
+    if (offset < 0) return null;
+    const headerHex = global.bytesToHex(opened.headers.subarray(offset, offset + 80));
+    const header = parseHeader(headerHex);
+    return { height: height, hash: hashHeader(headerHex), raw: headerHex, nBits: header.nBits, timestamp: header.timestamp,
+      target: targetFromNBits(header.nBits), merkleRoot: header.merkleRoot };
+  }
+
+  // findHeightByMerkleRoot() on an opened index: a binary search of the sorted roots.
+  function indexedHeight(opened, merkleRoot) {
+    const hex = String(merkleRoot);
+    if (!/^[0-9a-f]{64}$/i.test(hex)) return null;
+    const root = global.hexToBytes(global.reverseHex(hex.toLowerCase()));
+    let lo = 0, hi = opened.total;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const at = INDEX_PREFIX + mid * INDEX_ENTRY;
+      if (compareBytes(opened.index.subarray(at, at + 32), root) < 0) lo = mid + 1; else hi = mid;
+    }
+    const at = INDEX_PREFIX + lo * INDEX_ENTRY;
+    if (lo === opened.total || compareBytes(opened.index.subarray(at, at + 32), root) !== 0) return null;
+    return new DataView(opened.index.buffer).getUint32(at + 32, true);
+  }
+
   // Maximum Merkle proof depth (32 supports 4 billion tx/block, sufficient for any realistic block)
   const MAX_MERKLE_DEPTH = 32;
 
@@ -458,25 +1328,723 @@
   }
 
   /**
-   * Three-state chain-inclusion check, shared by verifier.html and explorer.html
-   * so the logic is defined and tested in exactly one place.
-   * @param {Map|null} hashIndex - hash->height map from verifyHeaderChain, or null
+   * Chain-inclusion check, shared by verifier.html and explorer.html so the logic is
+   * defined and tested in exactly one place.
+   *
+   * Given the whole verifyHeaderChain result (not just its hashIndex), a found block
+   * also reports its depth: confirmations (tip height − block height + 1), the work
+   * buried on top of it, and the tip's timestamp. A depth policy then turns a found
+   * but too-shallow block into 'insufficient_depth' — verified:false, fail closed.
+   * @param {Object|Map|null} chain - verifyHeaderChain result, or (legacy) its hashIndex, or null
    * @param {string} blockHash - display-order block hash
-   * @returns {{status:'verified'|'not_in_chain'|'unknown', verified:boolean, height:number|null, reason:string}}
+   * @param {Object} [forkChoice] - result of compareHeaderChains(); adds a `fork` field
+   * @param {{minConfirmations?:number, minBuriedWork?:BigInt}} [policy] - depth thresholds
+   * @returns {{status:'verified'|'insufficient_depth'|'not_in_chain'|'unknown', verified:boolean,
+   *   height:number|null, reason:string, confirmations?:number, buriedWork?:BigInt,
+   *   tipHeight?:number, tipTimestamp?:number|null, fork?:Object}}
+   *   fork.loadedChainCompared is true only when `chain` is one of forkChoice's branches
    */
-  function chainInclusion(hashIndex, blockHash) {
+  function chainInclusion(chain, blockHash, forkChoice, policy) {
+    const hashIndex = chain instanceof Map ? chain : (chain ? chain.hashIndex : null);
+    const full = chain && !(chain instanceof Map) ? chain : null;
+    const depth = checkDepthPolicy(policy);
+    let result;
+    const bh = String(blockHash).toLowerCase();
     if (!hashIndex) {
-      return { status: 'unknown', verified: false, height: null,
+      result = { status: 'unknown', verified: false, height: null,
         reason: 'no header chain loaded — PoW verified in isolation, not chain inclusion' };
-    }
-    const bh = String(blockHash).toLowerCase();
-    if (hashIndex.has(bh)) {
+    } else if (hashIndex.has(bh)) {
       const h = hashIndex.get(bh);
-      return { status: 'verified', verified: true, height: h,
+      result = { status: 'verified', verified: true, height: h,
         reason: 'block found in loaded header chain at height ' + h };
+      if (full) Object.assign(result, inclusionDepth(full, h));
+      const shortfall = depthShortfall(result, depth);
+      if (shortfall) {
+        result.status = 'insufficient_depth';
+        result.verified = false;
+        result.reason = 'block found at height ' + h + ' but ' + shortfall;
+      }
+    } else {
+      result = { status: 'not_in_chain', verified: false, height: null,
+        reason: 'block NOT in loaded header chain — header is not on the chain you hold' };
+    }
+    if (forkChoice) {
+      // Fork choice ranks only the compared files. It speaks for the loaded chain when
+      // that chain is one of them; otherwise it is a separate comparison.
+      result.fork = forkPosition(forkChoice, bh);
+      result.fork.loadedChainCompared = !!full && forkChoice.branches.some(function (b) { return b.tipHash === full.tipHash; });
+    }
+    return result;
+  }
+
+  const DEFAULT_MIN_CONFIRMATIONS = 1;
+
+  // Validate and default a depth policy ({minConfirmations, minBuriedWork}).
+  function checkDepthPolicy(policy) {
+    const p = policy || {};
+    const minConfirmations = p.minConfirmations === undefined ? DEFAULT_MIN_CONFIRMATIONS : p.minConfirmations;
+    const minBuriedWork = p.minBuriedWork === undefined ? 0n : p.minBuriedWork;
+    if (!Number.isInteger(minConfirmations) || minConfirmations < 1) {
+      throw new Error('minConfirmations must be a positive integer');
+    }
+    if (typeof minBuriedWork !== 'bigint' || minBuriedWork < 0n) {
+      throw new Error('minBuriedWork must be a non-negative BigInt');
+    }
+    return { minConfirmations: minConfirmations, minBuriedWork: minBuriedWork };
+  }
+
+  /**
+   * Keep a page's "Minimum confirmations" field checked. It is read once per change:
+   * blank means the default (1), and anything but a whole number of 1 or more is
+   * shown in `status` and makes the returned getter throw until it is fixed.
+   * @param {HTMLInputElement} field
+   * @param {HTMLElement} status
+   * @returns {function(): number} current minConfirmations for a depth policy
+   */
+  function watchMinConfirmations(field, status) {
+    let value = DEFAULT_MIN_CONFIRMATIONS, error = null;
+    function read() {
+      const text = String(field.value).trim();
+      const n = text === '' ? DEFAULT_MIN_CONFIRMATIONS : Number(text);
+      error = Number.isInteger(n) && n >= 1 ? null : '"' + text + '" is not a whole number of 1 or more';
+      if (!error) value = n;
+      status.textContent = error ? '✗ Minimum confirmations ' + error + ' — checks against a loaded chain fail until it is fixed.'
+        : text === '' ? 'Blank — using the default of ' + DEFAULT_MIN_CONFIRMATIONS + '.' : '';
+      status.style.color = error ? 'var(--danger)' : '';
+    }
+    field.addEventListener('change', read);
+    read();
+    return function () {
+      if (error) throw new Error('minimum confirmations ' + error);
+      return value;
+    };
+  }
+
+  // Depth of a block at `height` in a verified chain. Backward-segment headers sit
+  // below the anchor, so everything forward of the anchor is buried on top of them.
+  function inclusionDepth(chain, height) {
+    const anchorHeight = chain.anchor.height;
+    let buriedWork = 0n;
+    chain.headers.forEach(function (h) { if (h.height > height) buriedWork += workFromTarget(h.target); });
+    (chain.backward || []).forEach(function (h) { if (h.height > height) buriedWork += workFromTarget(h.target); });
+    const tip = chain.headers.length > 0 ? chain.headers[chain.headers.length - 1]
+      : (chain.backward && chain.backward.length > 0 && chain.backward[0].height === anchorHeight ? chain.backward[0] : null);
+    return {
+      confirmations: chain.tipHeight - height + 1,
+      buriedWork: buriedWork,
+      tipHeight: chain.tipHeight,
+      tipTimestamp: tip ? tip.timestamp : null
+    };
+  }
+
+  // Why a found block misses the depth policy, or null when it meets it. Without depth
+  // (a bare hashIndex was passed) any threshold above the defaults cannot be shown.
+  function depthShortfall(result, depth) {
+    const strict = depth.minConfirmations > 1 || depth.minBuriedWork > 0n;
+    if (result.confirmations === undefined) {
+      return strict ? 'its depth is unknown (pass the chain, not its hashIndex) and policy sets a minimum' : null;
+    }
+    if (result.confirmations < depth.minConfirmations) {
+      return 'it has ' + result.confirmations + ' confirmation' + (result.confirmations === 1 ? '' : 's') +
+        '; policy requires ' + depth.minConfirmations;
+    }
+    if (result.buriedWork < depth.minBuriedWork) {
+      return 'only 2^' + log2Work(result.buriedWork).toFixed(1) + ' work is buried on it; policy requires 2^' +
+        log2Work(depth.minBuriedWork).toFixed(1);
+    }
+    return null;
+  }
+
+  // ==========================================
+  // Forgery cost
+  // ==========================================
+  //
+  // What a forger must spend, in expected hashes, to produce evidence this verifier
+  // accepts for a block that was never mined. The Merkle path and transaction are
+  // free to fabricate; the header is not.
+  //   isolation  — one header meeting the difficulty floor is enough.
+  //   with chain — the header must sit in the loaded chain, so the forger has to redo
+  //                that block and every header buried on top of it, up to the tip.
+  // The second figure holds only if the headers file came from a source the forger
+  // does not control; a forged headers file costs no more than its own floor work.
+
+  /**
+   * Expected hashes to forge a block's evidence, in isolation and against a chain.
+   * @param {BigInt} floorTarget - the difficulty floor a standalone header must meet
+   * @param {Object} [chain] - verifyHeaderChain result
+   * @param {number|null} [height] - the block's height in `chain` (chainInclusion().height)
+   * @returns {{isolation:BigInt, withChain:BigInt|null, blockWork:BigInt|null,
+   *   buriedWork:BigInt|null, headers:number|null, reason:string}}
+   *   headers is the number of headers the forger would have to redo (the confirmations)
+   */
+  function forgeryCost(floorTarget, chain, height) {
+    if (typeof floorTarget !== 'bigint' || floorTarget <= 0n) throw new Error('forgeryCost: floorTarget must be a positive BigInt');
+    const result = { isolation: workFromTarget(floorTarget), withChain: null, blockWork: null, buriedWork: null, headers: null };
+    const header = chain && height !== null && height !== undefined ? headerAt(chain, height) : null;
+    if (!chain) {
+      result.reason = 'no header chain loaded — one header meeting the difficulty floor forges the evidence';
+    } else if (!header) {
+      result.reason = 'block not in the loaded chain — only the isolation cost applies';
+    } else {
+      const depth = inclusionDepth(chain, height);
+      result.blockWork = workFromTarget(header.target);
+      result.buriedWork = depth.buriedWork;
+      result.withChain = result.blockWork + depth.buriedWork;
+      result.headers = depth.confirmations;
+      const above = depth.confirmations - 1;
+      result.reason = 'forging against the loaded chain means redoing block ' + height +
+        (above === 0 ? ' (the tip)' : ' and the ' + above + ' header' + (above === 1 ? '' : 's') + ' above it');
     }
-    return { status: 'not_in_chain', verified: false, height: null,
-      reason: 'block NOT in loaded header chain — header is not on the chain you hold' };
+    return result;
+  }
+
+  // ==========================================
+  // Most-work fork choice
+  // ==========================================
+
+  /**
+   * Compare two or more verified header chains (verifyHeaderChain results) that share
+   * the same anchor: find the last common block and rank the branches by cumulative
+   * work. Only the supplied chains are compared — this selects the most-work chain
+   * among what you hold, not the most-work chain on the network.
+   * @param {Array<Object>} chains - verifyHeaderChain results
+   * @returns {{ forkHeight:number, forkHash:string, branches:Array<Object>,
+   *             bestIndex:number|null, tie:boolean, margin:BigInt, identical:boolean }}
+   *   bestIndex is null on an exact work tie (no offline tie-break exists).
+   */
+  function compareHeaderChains(chains) {
+    if (!Array.isArray(chains) || chains.length < 2) throw new Error('compareHeaderChains needs at least two chains');
+    const a0 = chains[0].anchor;
+    chains.forEach(function (c, i) {
+      if (!c || !c.anchor || !Array.isArray(c.headers)) throw new Error('Chain ' + i + ' is not a verifyHeaderChain result');
+      if (c.anchor.height !== a0.height || c.anchor.hash.toLowerCase() !== a0.hash.toLowerCase()) {
+        throw new Error('Chain ' + i + ' has a different anchor (' + c.anchor.height + ') — only chains from the same checkpoint can be compared');
+      }
+    });
+
+    // Common prefix: headers are contiguous from the shared anchor, so the fork is the
+    // first index at which any two chains disagree (or one of them ends).
+    let common = 0;
+    for (;; common++) {
+      const h0 = chains[0].headers[common];
+      if (!h0) break;
+      if (!chains.every(function (c) { return c.headers[common] && c.headers[common].hash === h0.hash; })) break;
+    }
+    const forkHeight = a0.height + common;
+    const forkHash = common > 0 ? chains[0].headers[common - 1].hash : a0.hash;
+
+    const branches = chains.map(function (c, i) {
+      let workAfterFork = 0n;
+      for (let k = common; k < c.headers.length; k++) workAfterFork += workFromTarget(c.headers[k].target);
+      return {
+        index: i, tipHeight: c.tipHeight, tipHash: c.tipHash, cumulativeWork: c.cumulativeWork,
+        workAfterFork: workAfterFork, headersAfterFork: c.headers.length - common, hashIndex: c.hashIndex
+      };
+    });
+    const ranked = branches.slice().sort(function (x, y) {
+      return x.cumulativeWork === y.cumulativeWork ? 0 : (x.cumulativeWork > y.cumulativeWork ? -1 : 1);
+    });
+    const tie = ranked[0].cumulativeWork === ranked[1].cumulativeWork;
+    return {
+      forkHeight: forkHeight,
+      forkHash: forkHash,
+      branches: branches,
+      bestIndex: tie ? null : ranked[0].index,
+      tie: tie,
+      margin: ranked[0].cumulativeWork - ranked[1].cumulativeWork,
+      identical: branches.every(function (b) { return b.headersAfterFork === 0; })
+    };
+  }
+
+  // Where a block sits relative to a compareHeaderChains() result.
+  function forkPosition(forkChoice, blockHash) {
+    const on = forkChoice.branches.filter(function (b) { return b.hashIndex && b.hashIndex.has(blockHash); })
+      .map(function (b) { return b.index; });
+    const height = on.length ? forkChoice.branches[on[0]].hashIndex.get(blockHash) : null;
+    const shared = height !== null && height <= forkChoice.forkHeight;
+    let onMostWork = null;
+    if (on.length === 0) onMostWork = false;
+    else if (shared) onMostWork = true;
+    else if (forkChoice.bestIndex !== null) onMostWork = on.indexOf(forkChoice.bestIndex) !== -1;
+    return {
+      forkHeight: forkChoice.forkHeight,
+      branches: on,
+      belowFork: shared,
+      onMostWork: onMostWork,
+      reason: on.length === 0 ? 'block is on none of the compared chains'
+        : shared ? 'block is at or below the fork (height ' + forkChoice.forkHeight + ') — common to every compared chain'
+        : onMostWork === null ? 'block is past the fork and the compared branches tie on work'
+        : onMostWork ? 'block is on the most-work branch of the compared chains'
+        : 'block is on a branch with LESS work than another compared chain'
+    };
+  }
+
+  // ==========================================
+  // Chain diff (refreshed headers.bin)
+  // ==========================================
+  //
+  // A refreshed headers.bin should extend the previous one. When it does not, the
+  // blocks above the common ancestor were reorganised away, and every envelope mined in
+  // one of them flips from "verified" to "not in chain". diffHeaderChains() names the
+  // ancestor, what disappeared, what replaced it, and which of the caller's blocks went.
+
+  // Hash of the chain's block at `height` (a loaded header or the bare anchor), or null.
+  function hashAtHeight(chain, height) {
+    if (height === chain.anchor.height) return chain.anchor.hash.toLowerCase();
+    const header = headerAt(chain, height);
+    return header ? header.hash.toLowerCase() : null;
+  }
+
+  // Lowest height whose block the chain knows: the backward segment's end, or the anchor.
+  function lowestKnownHeight(chain) {
+    return typeof chain.backwardFrom === 'number' ? chain.backwardFrom : chain.anchor.height;
+  }
+
+  // The chain's blocks above `height`, ascending, with their work (0n for a bare anchor).
+  function blocksAbove(chain, height) {
+    const out = [];
+    for (let h = height + 1; h <= chain.tipHeight; h++) {
+      const header = headerAt(chain, h);
+      out.push({ height: h, hash: hashAtHeight(chain, h), work: header ? workFromTarget(header.target) : 0n });
+    }
+    return out;
+  }
+
+  function heightOf(chain, blockHash) {
+    if (chain.anchor.hash.toLowerCase() === blockHash) return chain.anchor.height;
+    const height = chain.hashIndex.get(blockHash);
+    return height === undefined ? null : height;
+  }
+
+  /**
+   * Compare a previously loaded chain with the refreshed chain that replaces it.
+   * The chains may have different anchors (e.g. a newer manifest checkpoint) as long as
+   * their known heights overlap.
+   * @param {Object} previous - verifyHeaderChain result loaded earlier
+   * @param {Object} current - verifyHeaderChain result loaded now
+   * @param {Array<string>} [blockHashes] - blocks the caller relied on (verified envelopes)
+   * @returns {{ commonAncestor:{height:number,hash:string}, previousTip:{height:number,hash:string},
+   *             newTip:{height:number,hash:string}, extends:boolean, reorgDepth:number,
+   *             disappeared:Array<{height:number,hash:string}>, added:Array<{height:number,hash:string}>,
+   *             disappearedWork:BigInt, addedWork:BigInt, blocks:Array<Object>, lost:Array<string>,
+   *             reason:string }}
+   *   extends is true when every previous block is still there. blocks[i] is
+   *   { blockHash, previousHeight, currentHeight, status } with status still_in_chain,
+   *   reorged_out (above the ancestor, now gone), newly_included, not_covered (below the
+   *   current chain's range) or unknown (in neither); lost lists the reorged_out hashes.
+   * @throws if either is not a chain result, they are on different networks, or they share no block
+   */
+  function diffHeaderChains(previous, current, blockHashes) {
+    [previous, current].forEach(function (c, i) {
+      if (!c || !c.anchor || !Array.isArray(c.headers) || !(c.hashIndex instanceof Map)) {
+        throw new Error('diffHeaderChains: ' + (i === 0 ? 'previous' : 'current') + ' is not a verifyHeaderChain result');
+      }
+    });
+    if (previous.network !== current.network) {
+      throw new Error('diffHeaderChains: cannot compare a ' + previous.network + ' chain with a ' + current.network + ' chain');
+    }
+
+    // Heights are contiguous and linked, so the highest height at which both chains hold
+    // the same block is the common ancestor; everything below it is shared as well.
+    const lowest = Math.max(lowestKnownHeight(previous), lowestKnownHeight(current));
+    let ancestor = null;
+    for (let h = Math.min(previous.tipHeight, current.tipHeight); h >= lowest && !ancestor; h--) {
+      const hash = hashAtHeight(previous, h);
+      if (hash !== null && hash === hashAtHeight(current, h)) ancestor = { height: h, hash: hash };
+    }
+    if (!ancestor) {
+      throw new Error('diffHeaderChains: the chains share no block — a reorg below both anchors, or unrelated files');
+    }
+
+    const gone = blocksAbove(previous, ancestor.height), added = blocksAbove(current, ancestor.height);
+    const sum = function (blocks) { return blocks.reduce(function (w, b) { return w + b.work; }, 0n); };
+    const disappearedWork = sum(gone), addedWork = sum(added);
+
+    const blocks = (blockHashes || []).map(function (raw) {
+      const blockHash = String(raw).toLowerCase();
+      const previousHeight = heightOf(previous, blockHash), currentHeight = heightOf(current, blockHash);
+      let status;
+      if (currentHeight !== null) status = previousHeight !== null ? 'still_in_chain' : 'newly_included';
+      else if (previousHeight === null) status = 'unknown';
+      else status = previousHeight > ancestor.height ? 'reorged_out' : 'not_covered';
+      return { blockHash: blockHash, previousHeight: previousHeight, currentHeight: currentHeight, status: status };
+    });
+    const lost = blocks.filter(function (b) { return b.status === 'reorged_out'; }).map(function (b) { return b.blockHash; });
+
+    const strip = function (b) { return { height: b.height, hash: b.hash }; };
+    return {
+      commonAncestor: ancestor,
+      previousTip: { height: previous.tipHeight, hash: previous.tipHash.toLowerCase() },
+      newTip: { height: current.tipHeight, hash: current.tipHash.toLowerCase() },
+      extends: gone.length === 0,
+      reorgDepth: gone.length,
+      disappeared: gone.map(strip),
+      added: added.map(strip),
+      disappearedWork: disappearedWork,
+      addedWork: addedWork,
+      blocks: blocks,
+      lost: lost,
+      reason: gone.length === 0
+        ? (added.length === 0 ? 'same tip as the previous chain' : 'extends the previous chain by ' + added.length + ' headers')
+        : added.length === 0
+        ? 'the new chain ends at ' + ancestor.height + ', below the previous tip ' + previous.tipHeight +
+          ' — ' + gone.length + ' blocks are no longer covered (an older file?)'
+        : 'REORG: ' + gone.length + ' blocks above ' + ancestor.height + ' were replaced by ' + added.length +
+          (addedWork > disappearedWork ? ' with more work'
+            : ' with NO MORE work than they displaced — the new file may be stale or forged')
+    };
+  }
+
+  // ==========================================
+  // Anomaly analysis (forensic review)
+  // ==========================================
+  //
+  // verifyHeaderChain is pass/fail. analyzeHeaderChain() reads an already-verified chain
+  // for things that are legal but unusual — the patterns a forged or manipulated chain
+  // tends to show before it trips a hard rule. Findings never change a verdict.
+  //   timestamp_not_increasing  a header no later than its parent (legal above MTP)
+  //   nbits_jump                target changes by more than maxTargetRatio between blocks
+  //   long_gap                  more than maxGapSeconds between consecutive timestamps
+  //   version_legacy            version below 4 at or after the network's BIP65 height
+  //   version_unusual           version 4 or later without the 001 BIP9 top bits
+  //   near_floor                target within nearFloorFactor of the difficulty floor (forward
+  //                             headers only: the floor never applies to the backward segment)
+  // Severity is 'warning' for what deserves a reviewer's attention (a difficulty drop,
+  // legacy version, near-floor work, a day-long gap, a timestamp over an hour back) and
+  // 'notice' for the rest.
+
+  const ANALYSIS_DEFAULTS = { maxTargetRatio: 2, maxGapSeconds: 7200, nearFloorFactor: 2, maxFindings: 1000 };
+
+  /**
+   * Scan a verified chain (backward segment and forward headers, ascending) for anomalies.
+   * @param {Object} chain - verifyHeaderChain result
+   * @param {{maxTargetRatio?:number, maxGapSeconds?:number, nearFloorFactor?:number,
+   *          maxFindings?:number}} [options] - thresholds (defaults 2, 7200, 2, 1000); unknown keys throw
+   * @returns {{ fromHeight:number|null, toHeight:number|null, headersScanned:number,
+   *             findings:Array<{kind:string, severity:string, height:number, hash:string, detail:string}>,
+   *             counts:Object<string,number>, warnings:number, truncated:boolean }}
+   *   counts covers every finding even when the list stops at maxFindings (truncated)
+   */
+  function analyzeHeaderChain(chain, options) {
+    if (!chain || !chain.anchor || !Array.isArray(chain.headers)) throw new Error('analyzeHeaderChain needs a verifyHeaderChain result');
+    const opts = Object.assign({}, ANALYSIS_DEFAULTS);
+    Object.keys(options || {}).forEach(function (k) {
+      if (!Object.prototype.hasOwnProperty.call(ANALYSIS_DEFAULTS, k)) throw new Error('analyzeHeaderChain: unknown option ' + k);
+      if (!Number.isInteger(options[k]) || options[k] < 1) throw new Error('analyzeHeaderChain: ' + k + ' must be a positive integer');
+      opts[k] = options[k];
+    });
+    const floorTarget = typeof chain.floorTarget === 'bigint' ? chain.floorTarget : STATIC_FLOOR_TARGET;
+    const ratio = BigInt(opts.maxTargetRatio), nearFloor = BigInt(opts.nearFloorFactor);
+    const headers = (chain.backward || []).slice().reverse().concat(chain.headers);
+    const firstForward = headers.length - chain.headers.length;
+
+    const findings = [], counts = {};
+    let warnings = 0;
+    function flag(kind, severity, h, detail) {
+      counts[kind] = (counts[kind] || 0) + 1;
+      if (severity === 'warning') warnings++;
+      if (findings.length < opts.maxFindings) findings.push({ kind: kind, severity: severity, height: h.height, hash: h.hash, detail: detail });
+    }
+    const factor = function (a, b) { return Math.pow(2, log2Work(a) - log2Work(b)).toFixed(2); };
+
+    headers.forEach(function (h, i) {
+      const version = parseHeader(h.raw).version;
+      if (version < 4) {
+        if (h.height >= NETWORK.bip65Height) {
+          flag('version_legacy', 'warning', h, 'version ' + version + ' — blocks from ' + NETWORK.bip65Height + ' (BIP65) must be version 4 or later');
+        }
+      } else if ((version & 0xe0000000) >>> 0 !== 0x20000000) {
+        flag('version_unusual', 'notice', h, 'version 0x' + (version >>> 0).toString(16) + ' lacks the 001 BIP9 top bits');
+      }
+      if (i >= firstForward && h.target * nearFloor > floorTarget) {
+        flag('near_floor', 'warning', h, 'work is only ' + factor(floorTarget, h.target) + 'x the difficulty floor (flagged within ' +
+          opts.nearFloorFactor + 'x)');
+      }
+      const prev = headers[i - 1];
+      if (!prev) return;
+      const dt = h.timestamp - prev.timestamp;
+      if (dt <= 0) {
+        flag('timestamp_not_increasing', dt < -3600 ? 'warning' : 'notice', h,
+          (dt === 0 ? 'same timestamp as' : -dt + 's earlier than') + ' block ' + prev.height);
+      } else if (dt > opts.maxGapSeconds) {
+        flag('long_gap', dt > 86400 ? 'warning' : 'notice', h, (dt / 3600).toFixed(1) + 'h after block ' + prev.height);
+      }
+      if (h.target > prev.target * ratio) {
+        flag('nbits_jump', 'warning', h, 'difficulty fell ' + factor(h.target, prev.target) + 'x from block ' + prev.height +
+          ' (nBits 0x' + prev.nBits.toString(16) + ' → 0x' + h.nBits.toString(16) + ')');
+      } else if (h.target * ratio < prev.target) {
+        flag('nbits_jump', 'notice', h, 'difficulty rose ' + factor(prev.target, h.target) + 'x from block ' + prev.height +
+          ' (nBits 0x' + prev.nBits.toString(16) + ' → 0x' + h.nBits.toString(16) + ')');
+      }
+    });
+    return {
+      fromHeight: headers.length ? headers[0].height : null,
+      toHeight: headers.length ? headers[headers.length - 1].height : null,
+      headersScanned: headers.length,
+      findings: findings,
+      counts: counts,
+      warnings: warnings,
+      truncated: findings.length < Object.keys(counts).reduce(function (n, k) { return n + counts[k]; }, 0)
+    };
+  }
+
+  /**
+   * log2 of a work value, for display ("2^71.3") — work figures exceed Number range.
+   * @param {BigInt} work
+   * @returns {number}
+   */
+  function log2Work(work) {
+    if (work <= 0n) return 0;
+    const bits = work.toString(2).length;
+    const shift = bits > 53 ? BigInt(bits - 53) : 0n;
+    return Math.log2(Number(work >> shift)) + Number(shift);
+  }
+
+  // ==========================================
+  // Verifier instances
+  // ==========================================
+  //
+  // The module-level functions above share ONE dynamic floor (setDynamicFloor is
+  // called by every verifyHeaderChain), so two chains verified in the same page or
+  // process leak into each other's floor. createVerifier() gives each caller its own
+  // checkpoint, chain, hash index and floor; nothing it does touches module state.
+
+  // Run headers-worker.js on `worker` and resolve to its verified chain. The worker runs
+  // this same file with the same checkpoint and policy; the result is still checked to
+  // be anchored, moded and networked as this instance expects before it is adopted.
+  // Rejects with workerStartFailed set when the worker errors before answering at all,
+  // or the request cannot be posted to it.
+  function runChainWorker(worker, source, anchors, policy, defaultFloor, opts) {
+    const list = checkpointListOf(anchors);
+    return new Promise(function (resolve, reject) {
+      let answered = false;
+      const node = typeof worker.on === 'function';
+      function onMessage(msg) {
+        answered = true;
+        if (msg.type === 'progress') { if (opts.onProgress) opts.onProgress({ verified: msg.verified, total: msg.total }); return; }
+        stop();
+        if (msg.type === 'error') return reject(new Error(msg.message));
+        const c = msg.chain;
+        const cp = c && c.anchor ? (list || [anchors]).find(function (a) {
+          return a.height === c.anchor.height && a.hash.toLowerCase() === c.anchor.hash.toLowerCase();
+        }) : undefined;
+        const floor = list && cp ? targetFromNBits(cp.nBits) * BigInt(policy.floorTolerance) : defaultFloor;
+        if (!c || !c.anchor || c.network !== NETWORK.name || c.difficultyMode !== policy.difficultyMode ||
+            (policy.requireCheckpoint !== false && !cp) || c.floorTarget !== floor) {
+          return reject(new Error('Header worker returned a chain for a different checkpoint, network or policy'));
+        }
+        resolve(c);
+      }
+      function onError(e) {
+        stop();
+        const err = new Error('Header worker failed: ' + (e && e.message ? e.message : 'could not start'));
+        err.workerStartFailed = !answered;
+        reject(err);
+      }
+      function onAbort() { worker.postMessage({ type: 'cancel' }); }
+      const onBrowserMessage = function (e) { onMessage(e.data); };
+      const onBrowserError = function (e) { if (e.preventDefault) e.preventDefault(); onError(e); };
+      function stop() {
+        if (node) { worker.off('message', onMessage); worker.off('error', onError); }
+        else { worker.removeEventListener('message', onBrowserMessage); worker.removeEventListener('error', onBrowserError); }
+        if (opts.signal) opts.signal.removeEventListener('abort', onAbort);
+      }
+      if (opts.signal && opts.signal.aborted) return reject(new Error('Header chain verification cancelled'));
+      if (node) { worker.on('message', onMessage); worker.on('error', onError); }
+      else { worker.addEventListener('message', onBrowserMessage); worker.addEventListener('error', onBrowserError); }
+      if (opts.signal) opts.signal.addEventListener('abort', onAbort);
+      // postMessage throws synchronously when the source cannot be cloned to the
+      // worker: that is a failed start too, so the caller verifies here instead.
+      try {
+        worker.postMessage({ type: 'verify', source: source, checkpoint: list ? undefined : anchors,
+          checkpoints: list || undefined, policy: Object.assign({}, policy), now: opts.now, chunkHeaders: opts.chunkHeaders });
+      } catch (e) {
+        onError(e);
+      }
+    });
+  }
+
+  // Where this script was loaded from, so createHeadersWorker() can find headers-worker.js.
+  const SCRIPT_SRC = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
+  /**
+   * Browser helper: start lib/headers-worker.js (next to this file) on the current network.
+   * @returns {Worker|null} null where workers are unavailable or refused (e.g. some
+   *   browsers on file:// pages) — loadChainStream then verifies on the page in chunks
+   */
+  function createHeadersWorker() {
+    if (typeof Worker === 'undefined' || !SCRIPT_SRC) return null;
+    try {
+      return new Worker(SCRIPT_SRC.replace(/headers\.js([?#].*)?$/, 'headers-worker.js') +
+        '?network=' + encodeURIComponent(NETWORK.name));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const VERIFIER_POLICY_KEYS = ['difficultyMode', 'requireCheckpoint', 'floorTolerance',
+    'minConfirmations', 'minBuriedWork'];
+
+  /**
+   * Create an isolated verification context.
+   * @param {Object} [config]
+   * @param {{height:number,hash:string,nBits:number}} [config.checkpoint] - default: network checkpoint
+   * @param {Object|Array} [config.checkpoints] - instead of checkpoint: a loadCheckpointManifest()
+   *   result or checkpoint array; a chain may anchor at any entry and is held to that entry's
+   *   floor. The highest entry becomes `checkpoint` (the floor before any chain is loaded).
+   * @param {Uint8Array} [config.headers] - headers.bin to load immediately
+   * @param {{difficultyMode?:string, requireCheckpoint?:boolean, floorTolerance?:number,
+   *          minConfirmations?:number, minBuriedWork?:BigInt}} [config.policy]
+   *   verifyHeaderChain options, floorTolerance (default: the network's) and the depth
+   *   thresholds chainInclusion() enforces (default: 1 confirmation, no work minimum);
+   *   unknown keys throw
+   * @returns {Object} verifier with loadChain, loadChainStream, extendChain, clearChain, getChain,
+   *   getHeaderByHeight, findHeightByMerkleRoot, isValidRoot, diffChain, analyzeChain, forgeryCost, medianTimePast, getEffectiveFloor,
+   *   validateDifficultyFloor, validateHeaderDifficulty, chainInclusion
+   */
+  function createVerifier(config) {
+    const cfg = config || {};
+    const policy = Object.assign({ difficultyMode: 'floor', requireCheckpoint: true,
+      floorTolerance: NETWORK.floorTolerance }, cfg.policy);
+    Object.keys(policy).forEach(function (k) {
+      if (VERIFIER_POLICY_KEYS.indexOf(k) === -1) throw new Error('createVerifier: unknown policy key ' + k);
+    });
+    if (!Number.isInteger(policy.floorTolerance) || policy.floorTolerance < 1) {
+      throw new Error('createVerifier: floorTolerance must be a positive integer');
+    }
+    checkDepthPolicy(policy);
+    Object.freeze(policy);
+    if (cfg.checkpoint && cfg.checkpoints) throw new Error('createVerifier: pass checkpoint or checkpoints, not both');
+    let checkpoints = null;
+    if (cfg.checkpoints) {
+      if (!checkpointListOf(cfg.checkpoints)) throw new Error('createVerifier: checkpoints must be an array or a checkpoint manifest');
+      checkpoints = checkCheckpointList(checkpointListOf(cfg.checkpoints), policy.floorTolerance);
+    }
+    const checkpoint = checkpoints ? checkpoints[checkpoints.length - 1] : cfg.checkpoint || CHECKPOINT;
+    if (!Number.isInteger(checkpoint.height) || checkpoint.height < 0 ||
+        typeof checkpoint.hash !== 'string' || !/^[0-9a-f]{64}$/i.test(checkpoint.hash) ||
+        !Number.isInteger(checkpoint.nBits)) {
+      throw new Error('createVerifier: checkpoint needs integer height, 64-hex hash and integer nBits');
+    }
+    const anchors = checkpoints || checkpoint;
+    const tolerance = BigInt(policy.floorTolerance);
+    const staticFloor = targetFromNBits(checkpoint.nBits) * tolerance;
+    let chain = null, dynamic = null;
+
+    const verifier = {
+      checkpoint: Object.freeze(Object.assign({}, checkpoint)),
+      checkpoints: checkpoints || Object.freeze([Object.freeze(Object.assign({}, checkpoint))]),
+      policy: policy,
+
+      /**
+       * Verify and adopt a headers.bin. A failed load drops any previous chain (fail closed).
+       * options.now (unix seconds) enables the future-drift check against that clock; in
+       * DAA mode the check always runs, against the system clock when now is omitted.
+       */
+      loadChain: function (bytes, options) {
+        chain = null; dynamic = null;
+        const clock = options && options.now !== undefined ? { now: options.now } : {};
+        const result = verifyChainBytes(bytes, anchors, Object.assign({}, policy, clock), staticFloor);
+        chain = result;
+        if (result.headers.length > 0) {
+          const tip = result.headers[result.headers.length - 1];
+          dynamic = { target: targetFromNBits(tip.nBits) * tolerance, height: tip.height };
+        }
+        return result;
+      },
+      /**
+       * loadChain() without blocking the page (see verifyHeaderChainStream). Resolves to the
+       * same result. options: now, onProgress, signal, chunkHeaders, and worker — a Web
+       * Worker or worker_threads Worker running headers-worker.js to hash off this thread.
+       * A worker that fails to start falls back to chunked verification here.
+       */
+      loadChainStream: async function (source, options) {
+        chain = null; dynamic = null;
+        const opts = options || {};
+        const streamOpts = { onProgress: opts.onProgress, signal: opts.signal, chunkHeaders: opts.chunkHeaders };
+        if (opts.now !== undefined) streamOpts.now = opts.now;
+        let result = null;
+        if (opts.worker) {
+          try {
+            result = await runChainWorker(opts.worker, source, anchors, policy, staticFloor, streamOpts);
+          } catch (e) {
+            if (!e.workerStartFailed) throw e;
+          }
+        }
+        if (!result) result = await streamChainBytes(source, anchors, Object.assign({}, policy, streamOpts), staticFloor);
+        chain = result;
+        if (result.headers.length > 0) {
+          const tip = result.headers[result.headers.length - 1];
+          dynamic = { target: targetFromNBits(tip.nBits) * tolerance, height: tip.height };
+        }
+        return result;
+      },
+      /** Append a headers delta to the loaded chain (extendHeaderChain); unchanged on error. */
+      extendChain: function (bytes, options) {
+        if (!chain) throw new Error('No header chain loaded to extend');
+        extendChainWith(chain, bytes, staticFloor, options);
+        if (chain.headers.length > 0) {
+          const tip = chain.headers[chain.headers.length - 1];
+          dynamic = { target: targetFromNBits(tip.nBits) * tolerance, height: tip.height };
+        }
+        return chain;
+      },
+      clearChain: function () { chain = null; dynamic = null; },
+      getChain: function () { return chain; },
+      /** getHeaderByHeight() on the loaded chain; null without one. */
+      getHeaderByHeight: function (height) { return chain ? getHeaderByHeight(chain, height) : null; },
+      /** findHeightByMerkleRoot() on the loaded chain; null without one. */
+      findHeightByMerkleRoot: function (merkleRoot) { return chain ? findHeightByMerkleRoot(chain, merkleRoot) : null; },
+      /**
+       * BEEF.verifyMined() root callback: true only when the loaded chain has a header at
+       * `height` committing to `merkleRoot`. Needs no `this`, so it can be passed directly.
+       */
+      isValidRoot: function (merkleRoot, height) {
+        const header = chain ? getHeaderByHeight(chain, height) : null;
+        return !!header && header.merkleRoot === String(merkleRoot).toLowerCase();
+      },
+      /** diffHeaderChains(previous, loaded chain): what changed since `previous` was loaded. */
+      diffChain: function (previous, blockHashes) {
+        if (!chain) throw new Error('No header chain loaded to diff against');
+        return diffHeaderChains(previous, chain, blockHashes);
+      },
+      /** forgeryCost() of the block at `height` against this verifier's floor and loaded chain. */
+      forgeryCost: function (height) {
+        return forgeryCost(verifier.getEffectiveFloor().target, chain, height);
+      },
+      /** analyzeHeaderChain() over the loaded chain. */
+      analyzeChain: function (options) {
+        if (!chain) throw new Error('No header chain loaded to analyze');
+        return analyzeHeaderChain(chain, options);
+      },
+      /** medianTimePast() of the loaded chain at `height`; null without a chain or a full window. */
+      medianTimePast: function (height) { return chain ? medianTimePast(chain, height) : null; },
+      /** The loaded chain's checkpoint floor (raised by its tip), else the default checkpoint's. */
+      getEffectiveFloor: function () {
+        return chain && chain.checkpoint
+          ? effectiveFloor(chain.floorTarget, chain.checkpoint.height, dynamic)
+          : effectiveFloor(staticFloor, checkpoint.height, dynamic);
+      },
+      validateDifficultyFloor: function (header, height) {
+        return checkDifficultyFloor(header, height, verifier.getEffectiveFloor());
+      },
+      validateHeaderDifficulty: function (headerHex) {
+        return checkDifficultyFloor(parseHeader(headerHex), null, verifier.getEffectiveFloor());
+      },
+      /** chainInclusion() against the loaded chain; depthPolicy overrides the instance thresholds. */
+      chainInclusion: function (blockHash, forkChoice, depthPolicy) {
+        const depth = {
+          minConfirmations: policy.minConfirmations, minBuriedWork: policy.minBuriedWork
+        };
+        Object.keys(depthPolicy || {}).forEach(function (k) {
+          if (k !== 'minConfirmations' && k !== 'minBuriedWork') throw new Error('unknown depth policy key ' + k);
+          depth[k] = depthPolicy[k];
+        });
+        return chainInclusion(chain, blockHash, forkChoice, depth);
+      }
+    };
+    if (cfg.headers) verifier.loadChain(cfg.headers);
+    return verifier;
   }
 
   /**
@@ -493,8 +2061,9 @@
       scope: 'not-attempted',
       label: 'Most-work chain',
       detail: 'A checkpoint-anchored, linked, PoW-valid chain under the configured difficulty ' +
-              'policy is verified. This tool does NOT compare cumulative proof-of-work or perform ' +
-              'most-work chain selection, so it does not establish that this is the greatest-work chain.'
+              'policy is verified. Cumulative proof-of-work is compared only between header chains you ' +
+              'supply (fork choice); this tool does NOT discover other chains, so it does not establish ' +
+              'that any of them is the greatest-work chain on the network.'
     },
     {
       id: 'current-spend-status',
@@ -507,6 +2076,8 @@
 
   // Exports
   global.CHECKPOINT = CHECKPOINT;
+  global.CHECKPOINT_MANIFEST_FORMAT = CHECKPOINT_MANIFEST_FORMAT;
+  global.loadCheckpointManifest = loadCheckpointManifest;
   global.SCOPE_ANTICLAIMS = SCOPE_ANTICLAIMS;
   global.STATIC_FLOOR_TARGET = STATIC_FLOOR_TARGET;
   global.parseHeader = parseHeader;
@@ -516,6 +2087,11 @@
   global.hashHeader = hashHeader;
   global.verifyPoW = verifyPoW;
   global.verifyHeaderChain = verifyHeaderChain;
+  global.verifyHeaderChainStream = verifyHeaderChainStream;
+  global.createHeadersWorker = createHeadersWorker;
+  global.extendHeaderChain = extendHeaderChain;
+  global.HEADERS_DELTA_MAGIC = HEADERS_DELTA_MAGIC;
+  global.BACKWARD_MAGIC = BACKWARD_MAGIC;
   global.verifyMerkleProof = verifyMerkleProof;
   global.checkMerkleProofSafe = checkMerkleProofSafe;
   global.validateDifficultyFloor = validateDifficultyFloor;
@@ -524,6 +2100,25 @@
   global.clearDynamicFloor = clearDynamicFloor;
   global.getEffectiveFloor = getEffectiveFloor;
   global.enforceChainFloor = enforceChainFloor;
+  global.enforceDifficultyAdjustment = enforceDifficultyAdjustment;
+  global.enforceMedianTimePast = enforceMedianTimePast;
+  global.medianTimePast = medianTimePast;
+  global.getHeaderByHeight = getHeaderByHeight;
+  global.findHeightByMerkleRoot = findHeightByMerkleRoot;
+  global.buildHeaderIndex = buildHeaderIndex;
+  global.openHeaderIndex = openHeaderIndex;
+  global.HEADERS_INDEX_MAGIC = HEADERS_INDEX_MAGIC;
+  global.MTP_WINDOW = MTP_WINDOW;
+  global.expectedNBits = expectedNBits;
+  global.nBitsFromTarget = nBitsFromTarget;
+  global.DAA_CONTEXT = DAA_CONTEXT;
   global.checkpointFloorStatus = checkpointFloorStatus;
   global.chainInclusion = chainInclusion;
+  global.watchMinConfirmations = watchMinConfirmations;
+  global.forgeryCost = forgeryCost;
+  global.createVerifier = createVerifier;
+  global.compareHeaderChains = compareHeaderChains;
+  global.diffHeaderChains = diffHeaderChains;
+  global.analyzeHeaderChain = analyzeHeaderChain;
+  global.log2Work = log2Work;
 })(typeof window !== 'undefined' ? window : global);
@@ -0,0 +1,365 @@
+/*
+ * merkleblock.js — bitcoind `gettxoutproof` (serialized CMerkleBlock) reader.
+ * Consumes bump.js for hashing. Pure vanilla JS, no dependencies.
+ *
+ * A node we run ourselves answers `gettxoutproof ["txid", ...]` with an 80-byte
+ * header followed by a partial Merkle tree: the block's transaction count, the
+ * hashes of every pruned subtree, and one flag bit per visited node. This module
+ * walks that tree exactly as bitcoind's CPartialMerkleTree::ExtractMatches does,
+ * and turns the result into:
+ *   - a BRC-74 BUMP (bump.js object) proving every matched txid;
+ *   - the legacy `proof` array for one txid;
+ *   - a complete envelope, once the raw transaction and vout are supplied.
+ *
+ * FAIL CLOSED: every rule ExtractMatches enforces is enforced here (unused hashes,
+ * unused flag bytes, running out of either, identical left/right children —
+ * CVE-2012-2459), plus trailing bytes. The reconstructed root must equal the
+ * header's merkleRoot, or parse() throws. The header's PoW and chain position are
+ * NOT checked here: the envelope is verified like any other.
+ *
+ * BYTE ORDER: the serialization carries hashes in internal order; everything
+ * returned is display hex, except the raw header and the legacy proof array.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./bump.js'));
+  else root.MerkleBlock = factory(root.BUMP);
+})(typeof self !== 'undefined' ? self : this, function (BUMP) {
+  'use strict';
+  if (!BUMP) throw new Error('merkleblock.js requires bump.js (BUMP) to be loaded first');
+
+  // ---- hex helpers -------------------------------------------------
+  function fromHex(hex) {
+    if (typeof hex !== 'string' || hex.length % 2 !== 0 || /[^0-9a-fA-F]/.test(hex)) {
+      throw new Error('MerkleBlock: invalid hex input');
+    }
+    var a = new Uint8Array(hex.length / 2);
+    for (var i = 0; i < a.length; i++) a[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return a;
+  }
+  function toHex(u8) {
+    var s = '';
+    for (var i = 0; i < u8.length; i++) s += (u8[i] < 16 ? '0' : '') + u8[i].toString(16);
+    return s;
+  }
+  function reverse(u8) {
+    var r = new Uint8Array(u8.length);
+    for (var i = 0; i < u8.length; i++) r[i] = u8[u8.length - 1 - i];
+    return r;
+  }
+  function sha256d(u8) { return BUMP.sha256(BUMP.sha256(u8)); }
+  function hashPair(left, right) {
+    var pair = new Uint8Array(64);
+    pair.set(left, 0); pair.set(right, 32);
+    return sha256d(pair);
+  }
+  function displayOf(internalHex) { return toHex(reverse(fromHex(internalHex))); }
+
+  // ---- Reader (VarInt aware, bounds-checked) -----------------------
+  function Reader(u8) { this.buf = u8; this.pos = 0; }
+  Reader.prototype.u8 = function () {
+    if (this.pos >= this.buf.length) throw new Error('MerkleBlock: unexpected end of stream');
+    return this.buf[this.pos++];
+  };
+  Reader.prototype.bytes = function (n) {
+    if (this.pos + n > this.buf.length) throw new Error('MerkleBlock: read past end of stream');
+    var b = this.buf.subarray(this.pos, this.pos + n); this.pos += n; return b;
+  };
+  Reader.prototype.u32 = function () {
+    var b = this.bytes(4);
+    return b[0] | (b[1] << 8) | (b[2] << 16) | (b[3] * 0x1000000);
+  };
+  Reader.prototype.u64 = function () {
+    var lo = this.u32(), hi = this.u32();
+    if (hi >= 0x200000) throw new Error('MerkleBlock: 64-bit value exceeds 2^53');
+    return hi * 0x100000000 + lo;
+  };
+  Reader.prototype.varInt = function () {
+    var f = this.u8();
+    if (f < 0xfd) return f;
+    if (f === 0xfd) { var a = this.u8(), b = this.u8(); return a | (b << 8); }
+    if (f === 0xfe) return this.u32();
+    return this.u64();
+  };
+
+  // Nodes at height h of a tree over n leaves (bitcoind CalcTreeWidth).
+  function width(n, h) { return Math.floor((n + Math.pow(2, h) - 1) / Math.pow(2, h)); }
+
+  // ------------------------------------------------------------------
+  // Parse gettxoutproof hex. Returns
+  //   { header, blockHash, merkleRoot, txCount, height, matches: [{ txid, index }], tree }
+  // where height is the tree height and tree[h][pos] the internal-order hex of every
+  // node the walk visited (used by the conversions below). Throws on any defect.
+  // ------------------------------------------------------------------
+  function parse(hex) {
+    var r = new Reader(fromHex(typeof hex === 'string' ? hex.trim() : hex));
+    var header = r.bytes(80);
+    var txCount = r.u32();
+    var hashCount = r.varInt();
+    if (txCount === 0) throw new Error('MerkleBlock: block has no transactions');
+    if (hashCount > txCount) throw new Error('MerkleBlock: more hashes (' + hashCount + ') than transactions (' + txCount + ')');
+    var hashes = [];
+    for (var i = 0; i < hashCount; i++) hashes.push(r.bytes(32));
+    var flags = r.bytes(r.varInt());
+    if (r.pos !== r.buf.length) throw new Error('MerkleBlock: ' + (r.buf.length - r.pos) + ' trailing byte(s) after proof');
+    if (flags.length * 8 < hashCount) throw new Error('MerkleBlock: fewer flag bits than hashes');
+
+    var height = 0;
+    while (width(txCount, height) > 1) height++;
+    var tree = [];
+    for (var h = 0; h <= height; h++) tree.push({});
+    var bitsUsed = 0, hashesUsed = 0, matches = [];
+
+    function walk(h, pos) {
+      if (bitsUsed >= flags.length * 8) throw new Error('MerkleBlock: ran out of flag bits');
+      var parentOfMatch = (flags[bitsUsed >> 3] >> (bitsUsed & 7)) & 1;
+      bitsUsed++;
+      var node;
+      if (h === 0 || !parentOfMatch) {
+        if (hashesUsed >= hashes.length) throw new Error('MerkleBlock: ran out of hashes');
+        node = hashes[hashesUsed++];
+        if (h === 0 && parentOfMatch) matches.push({ txid: toHex(reverse(node)), index: pos });
+      } else {
+        var left = walk(h - 1, pos * 2), right = left;
+        if (pos * 2 + 1 < width(txCount, h - 1)) {
+          right = walk(h - 1, pos * 2 + 1);
+          // CVE-2012-2459: a real tree never pairs a node with an identical sibling.
+          if (toHex(right) === toHex(left)) throw new Error('MerkleBlock: identical left and right nodes at height ' + (h - 1));
+        }
+        node = hashPair(left, right);
+      }
+      tree[h][pos] = toHex(node);
+      return node;
+    }
+
+    var rootNode = walk(height, 0);
+    if (Math.ceil(bitsUsed / 8) !== flags.length) throw new Error('MerkleBlock: unused flag bytes');
+    if (hashesUsed !== hashes.length) throw new Error('MerkleBlock: ' + (hashes.length - hashesUsed) + ' unused hash(es)');
+    var merkleRoot = toHex(reverse(rootNode));
+    if (merkleRoot !== toHex(reverse(header.subarray(36, 68)))) {
+      throw new Error('MerkleBlock: partial tree root does not match the header merkleRoot');
+    }
+    return {
+      header: toHex(header),
+      blockHash: toHex(reverse(sha256d(header))),
+      merkleRoot: merkleRoot,
+      txCount: txCount,
+      height: height,
+      matches: matches,
+      tree: tree
+    };
+  }
+
+  function accept(input) { return typeof input === 'string' ? parse(input) : input; }
+  function matchOf(mb, txid) {
+    var want = String(txid || '').toLowerCase();
+    var m = mb.matches.filter(function (x) { return x.txid === want; })[0];
+    if (!m) throw new Error('MerkleBlock: txid ' + want.slice(0, 16) + '… is not matched by this proof');
+    return m;
+  }
+
+  // ------------------------------------------------------------------
+  // Conversions
+  // ------------------------------------------------------------------
+  // BUMP proving `txids` (default: every matched txid), or null when nothing is
+  // matched. The proof carries no block height; pass it when known (0 = unknown).
+  // Several txids give a compound BUMP, trimmed by BUMP.extract to the form
+  // BUMP.merge and @bsv/sdk write.
+  function toBump(input, blockHeight, txids) {
+    var mb = accept(input);
+    var wanted = txids ? txids.map(function (t) { return matchOf(mb, t); }) : mb.matches;
+    if (wanted.length === 0) return null;
+    if (mb.height === 0) {
+      return { blockHeight: blockHeight || 0, path: [[{ offset: 0, txid: true, hash: wanted[0].txid }]] };
+    }
+    var levels = [];
+    for (var h = 0; h < mb.height; h++) levels.push({});
+    wanted.forEach(function (m) {
+      levels[0][m.index] = { offset: m.index, txid: true, hash: m.txid };
+      for (var h = 0; h < mb.height; h++) {
+        var sib = Math.floor(m.index / Math.pow(2, h)) ^ 1;
+        if (levels[h][sib]) continue;
+        levels[h][sib] = sib >= width(mb.txCount, h) ? { offset: sib, duplicate: true }
+                                                    : { offset: sib, hash: displayOf(mb.tree[h][sib]) };
+      }
+    });
+    return BUMP.extract({
+      blockHeight: blockHeight || 0,
+      path: levels.map(function (lvl) {
+        return Object.keys(lvl).map(function (k) { return lvl[k]; }).sort(function (a, b) { return a.offset - b.offset; });
+      })
+    }, wanted.map(function (m) { return m.txid; }));
+  }
+
+  // Legacy `proof` array for one matched txid: siblings in internal byte order; a
+  // node with no right-hand sibling pairs with itself, spelled out as its own hash.
+  function toProof(input, txid) {
+    var mb = accept(input);
+    var m = matchOf(mb, txid), proof = [];
+    for (var h = 0; h < mb.height; h++) {
+      var pos = Math.floor(m.index / Math.pow(2, h));
+      var sib = pos ^ 1;
+      proof.push({ hash: mb.tree[h][sib < width(mb.txCount, h) ? sib : pos], pos: (pos & 1) ? 'L' : 'R' });
+    }
+    return proof;
+  }
+
+  // Value in satoshis of output `vout` of a raw transaction.
+  function outputValue(rawTx, vout) {
+    var r = new Reader(fromHex(rawTx));
+    r.bytes(4); // version
+    var inputs = r.varInt();
+    for (var i = 0; i < inputs; i++) { r.bytes(36); r.bytes(r.varInt()); r.bytes(4); }
+    var outputs = r.varInt();
+    if (vout >= outputs) throw new Error('MerkleBlock: transaction has no output ' + vout);
+    for (var o = 0; o < vout; o++) { r.bytes(8); r.bytes(r.varInt()); }
+    return r.u64();
+  }
+
+  // Envelope for one output of a matched transaction: `opts` needs the txid, the raw
+  // transaction (`getrawtransaction`) and vout; blockHeight is optional (the BUMP
+  // says 0 without it). Nothing is defaulted: a missing or mismatched field throws.
+  function toEnvelope(input, opts) {
+    var mb = accept(input);
+    opts = opts || {};
+    var txid = matchOf(mb, opts.txid).txid;
+    if (typeof opts.rawTx !== 'string' || toHex(reverse(sha256d(fromHex(opts.rawTx)))) !== txid) {
+      throw new Error('MerkleBlock: rawTx does not hash to ' + txid.slice(0, 16) + '…');
+    }
+    if (!Number.isInteger(opts.vout) || opts.vout < 0) throw new Error('MerkleBlock: vout must be a non-negative integer');
+    return {
+      format: 'merkle-envelope',
+      version: 1,
+      txid: txid,
+      vout: opts.vout,
+      satoshis: outputValue(opts.rawTx, opts.vout),
+      rawTx: opts.rawTx.toLowerCase(),
+      blockHeader: mb.header,
+      blockHash: mb.blockHash,
+      proof: toProof(mb, txid),
+      bump: BUMP.toHex(toBump(mb, opts.blockHeight, [txid]))
+    };
+  }
+
+  // ---- self-test ---------------------------------------------------
+  // Mainnet block 100000: header and its four txids (root f3e94742…5766).
+  var BLOCK_100000_HEADER = '0100000050120119172a610421a6c3011dd330d9df07b63616c2cc1f1cd00200000000006657a9252aacd5c0b2940996ecff952228c3067cc38d4885efb5a4ac4247e9f337221b4d4c86041b0f2b5710';
+  var BLOCK_100000_TXIDS = [
+    '8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87',
+    'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4',
+    '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+    'e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d'
+  ];
+  // gettxoutproof for tx 2 of block 100000: header, 4 transactions, 3 hashes, flags 0x0d.
+  var VECTOR_HEX = BLOCK_100000_HEADER + '04000000' + '03' +
+    '15b88c5107195bf09eb9da89b83d95b3d070079a3c5c5d3d17d0dcd873fbdacc' +
+    'c46e239ab7d28e2c019b6d66ad8fae98a56ef1f21aeecb94d1b1718186f05963' +
+    '1d0cb83721529a062d9675b98d6e5c587e4a770fc84ed00abc5a5de04568a6e9' +
+    '01' + '0d';
+
+  function selfTest() {
+    var results = [], ok = true;
+    function check(n, c) { results.push({ name: n, pass: !!c }); if (!c) ok = false; }
+    function refuses(hex, re) { try { parse(hex); return false; } catch (e) { return re.test(e.message); } }
+    function varInt(n) { return n < 0xfd ? toHex([n]) : 'fd' + toHex([n & 0xff, n >> 8]); }
+    function u32(n) { return toHex([n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, (n >>> 24) & 0xff]); }
+
+    // Independent encoder (bitcoind CPartialMerkleTree::TraverseAndBuild) over display txids.
+    function build(headerHex, txids, matched) {
+      var n = txids.length, bits = [], hashes = [], height = 0;
+      while (width(n, height) > 1) height++;
+      function nodeHash(h, pos) {
+        if (h === 0) return reverse(fromHex(txids[pos]));
+        var left = nodeHash(h - 1, pos * 2);
+        return hashPair(left, pos * 2 + 1 < width(n, h - 1) ? nodeHash(h - 1, pos * 2 + 1) : left);
+      }
+      function visit(h, pos) {
+        var parent = false;
+        for (var p = pos * Math.pow(2, h); p < (pos + 1) * Math.pow(2, h) && p < n; p++) if (matched.indexOf(txids[p]) !== -1) parent = true;
+        bits.push(parent ? 1 : 0);
+        if (h === 0 || !parent) { hashes.push(toHex(nodeHash(h, pos))); return; }
+        visit(h - 1, pos * 2);
+        if (pos * 2 + 1 < width(n, h - 1)) visit(h - 1, pos * 2 + 1);
+      }
+      visit(height, 0);
+      var flagBytes = [];
+      for (var i = 0; i < bits.length; i++) flagBytes[i >> 3] = (flagBytes[i >> 3] || 0) | (bits[i] << (i & 7));
+      return headerHex + u32(n) + varInt(hashes.length) + hashes.join('') + varInt(flagBytes.length) + toHex(flagBytes);
+    }
+
+    var block = BUMP.fromBlockTxids(BLOCK_100000_TXIDS, 100000, [BLOCK_100000_TXIDS[2]]);
+    var hex = build(BLOCK_100000_HEADER, BLOCK_100000_TXIDS, [BLOCK_100000_TXIDS[2]]);
+    check('encoder reproduces the block 100000 vector', hex === VECTOR_HEX);
+    var mb = parse(VECTOR_HEX);
+    check('block 100000: header hashes to the known block hash', mb.blockHash === '000000000003ba27aa200b1cecaad478d2b00432346c3f1f3986da1afd33e506');
+    check('block 100000: one match, tx 2, root from the header', mb.matches.length === 1 && mb.matches[0].index === 2 &&
+      mb.matches[0].txid === BLOCK_100000_TXIDS[2] && mb.merkleRoot === block.root && mb.txCount === 4);
+    check('block 100000: BUMP equals the one built from the whole block', BUMP.toHex(toBump(mb, 100000)) === BUMP.toHex(block.bump));
+    var proof = toProof(mb, BLOCK_100000_TXIDS[2]);
+    check('block 100000: legacy proof sides follow the index', proof.length === 2 && proof[0].pos === 'R' && proof[1].pos === 'L');
+
+    // Odd widths: five synthetic txids, matching the last (duplicated at every level) and the first.
+    var five = [];
+    for (var i = 0; i < 5; i++) five.push(toHex(sha256d(new Uint8Array([i]))));
+    var tree5 = BUMP.fromBlockTxids(five, 7, [five[0], five[4]]);
+    var header5 = '01000000' + '00'.repeat(32) + toHex(reverse(fromHex(tree5.root))) + '00'.repeat(12);
+    var mb5 = parse(build(header5, five, [five[0], five[4]]));
+    check('odd width: two matches reconstruct the root', mb5.matches.length === 2 && mb5.merkleRoot === tree5.root);
+    check('odd width: compound BUMP proves both txids', BUMP.merkleRoot(toBump(mb5, 7), five[0]) === tree5.root &&
+      BUMP.merkleRoot(toBump(mb5, 7), five[4]) === tree5.root && toBump(mb5, 7).path[0].filter(function (l) { return l.txid; }).length === 2);
+    check('odd width: compound BUMP is trimmed and canonical', BUMP.toHex(toBump(mb5, 7)) === BUMP.toHex(tree5.bump) &&
+      BUMP.validate(toBump(mb5, 7), { strict: true }).valid);
+    check('odd width: single-txid BUMP', BUMP.merkleRoot(toBump(mb5, 7, [five[4]]), five[4]) === tree5.root &&
+      toBump(mb5, 7, [five[4]]).path[0].filter(function (l) { return l.txid; }).length === 1);
+
+    check('odd width: legacy proof for the duplicated leaf folds to the root', toProof(mb5, five[4]).reduce(function (acc, step) {
+      var sib = fromHex(step.hash);
+      return step.pos === 'R' ? hashPair(acc, sib) : hashPair(sib, acc);
+    }, reverse(fromHex(five[4]))).join() === reverse(fromHex(tree5.root)).join());
+
+    var single = parse(build('01000000' + '00'.repeat(32) + toHex(reverse(fromHex(five[3]))) + '00'.repeat(12), [five[3]], [five[3]]));
+    check('one-transaction block: txid is the root', single.height === 0 && BUMP.merkleRoot(toBump(single, 1), five[3]) === five[3]);
+    check('no matches: no BUMP', toBump(parse(build(header5, five, [])), 7) === null);
+
+    // Envelope: a one-input, one-output transaction (coinbase-shaped) of 12.5 BSV.
+    var rawTx = '01000000' + '01' + '00'.repeat(32) + 'ffffffff' + '00' + 'ffffffff' + '01' + '807c814a00000000' + '00' + '00000000';
+    var txid = toHex(reverse(sha256d(fromHex(rawTx))));
+    var txTree = BUMP.fromBlockTxids([five[0], txid, five[1]], 9, [txid]);
+    var envHex = build('01000000' + '00'.repeat(32) + toHex(reverse(fromHex(txTree.root))) + '00'.repeat(12), [five[0], txid, five[1]], [txid]);
+    var env = toEnvelope(envHex, { txid: txid, rawTx: rawTx, vout: 0, blockHeight: 9 });
+    check('envelope: header, satoshis and BUMP filled in', env.blockHeader === envHex.slice(0, 160) && env.satoshis === 1250000000 &&
+      env.bump === BUMP.toHex(txTree.bump) && env.proof.length === 2);
+    check('envelope: refuses a rawTx for another txid', (function () {
+      try { toEnvelope(envHex, { txid: txid, rawTx: rawTx.replace(/00000000$/, '01000000'), vout: 0 }); return false; } catch (e) { return /does not hash/.test(e.message); }
+    })());
+    check('envelope: refuses a missing output', (function () {
+      try { toEnvelope(envHex, { txid: txid, rawTx: rawTx, vout: 1 }); return false; } catch (e) { return /no output 1/.test(e.message); }
+    })());
+
+    check('refuses a root that does not match the header', refuses(build(BLOCK_100000_HEADER, five, [five[0]]), /does not match the header/));
+    check('refuses trailing bytes', refuses(hex + '00', /trailing/));
+    check('refuses unused hashes', refuses(hex.slice(0, 168) + '04' + hex.slice(170, 170 + 3 * 64) + '00'.repeat(32) + hex.slice(170 + 3 * 64), /unused hash/));
+    check('refuses an extra flag byte', refuses(hex.slice(0, -4) + '02' + hex.slice(-2) + '00', /unused flag bytes/));
+    check('refuses a truncated proof', refuses(hex.slice(0, -66), /end of stream|past end/));
+    // Four leaves where leaf 3 is sent as a copy of the matched leaf 2.
+    var cve = '01000000' + '00'.repeat(76) + u32(4) + '03' + five[0] + five[2] + five[2] + '01' + '0d';
+    check('refuses identical siblings (CVE-2012-2459)', refuses(cve, /identical left and right/));
+
+    return { passed: ok, results: results };
+  }
+
+  return {
+    parse: parse,
+    toBump: toBump,
+    toProof: toProof,
+    toEnvelope: toEnvelope,
+    selfTest: selfTest,
+    VECTOR: { hex: VECTOR_HEX, txid: BLOCK_100000_TXIDS[2], blockHeight: 100000 }
+  };
+});
+
+if (typeof module === 'object' && module.exports && require.main === module) {
+  var out = module.exports.selfTest();
+  out.results.forEach(function (r) { console.log((r.pass ? 'PASS ' : 'FAIL ') + r.name); });
+  console.log('\n' + (out.passed ? 'ALL PASSED' : 'FAILURES PRESENT'));
+  process.exit(out.passed ? 0 : 1);
+}
@@ -181,7 +181,12 @@
 
   function wifToPrivateKey(wif) {
     const decoded = global.base58CheckDecode(wif);
-    if (decoded.version !== 0x80 && decoded.version !== 0xef) throw new Error('Invalid WIF version');
+    // Only the selected network's WIF prefix: a testnet key in a mainnet session (or the
+    // reverse) is a workflow mix-up, not something to sign with.
+    if (decoded.version !== global.NETWORK.wifVersion) {
+      throw new Error('Invalid WIF version (expected 0x' + global.NETWORK.wifVersion.toString(16) +
+        ' for ' + global.NETWORK.name + ')');
+    }
     let hash = decoded.hash, compressed = false;
     if (hash.length === 33 && hash[32] === 0x01) {
       compressed = true;
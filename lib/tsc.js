@@ -0,0 +1,381 @@
+/*
+ * tsc.js — TSC Merkle proofs (BRC-10 JSON, BRC-11 binary) reader and converter.
+ * Consumes bump.js for hashing. Pure vanilla JS, no dependencies.
+ *
+ * Several providers still hand out TSC proofs instead of BUMPs. This module reads
+ * both encodings (and the Electrum get_merkle shape, the same branch) into one
+ * object and converts it to the formats the tools verify:
+ *   - a BRC-74 BUMP (bump.js object), for verifier.html's hybrid root check;
+ *   - the legacy `proof` array ([{ hash, pos }], internal byte order), for
+ *     explorer.html's step-by-step computation and headers.js verifyMerkleProof.
+ *
+ * SCOPE (deliberate):
+ *   - Single-transaction branch proofs only. proofType "tree" and composite
+ *     proofs are rejected, not approximated. BRC-10/11 reserve the composite
+ *     flag and the "index" node type but define neither what a composite
+ *     proof proves nor what an index node refers to, so there is no
+ *     reference to check a reading against; they are refused, not guessed at.
+ *   - A '*' node duplicates the working hash (odd node count at that level). The
+ *     BUMP keeps it as a duplicate flag; the legacy array gets the computed hash,
+ *     so it needs no wildcard support from the verifier.
+ *   - The target (block hash, header or Merkle root) is NOT trusted: checkTarget()
+ *     compares it with the PoW-checked header the envelope carries.
+ *
+ * BYTE ORDER: JSON carries display hex (as a txid is printed); binary carries
+ * hashes in internal order, like every other Bitcoin serialization. parse()
+ * returns display hex either way; a header is raw 80-byte hex in both.
+ *
+ * Spec: https://bsv.brc.dev/transactions/0010 , https://bsv.brc.dev/transactions/0011
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./bump.js'));
+  else root.TSC = factory(root.BUMP);
+})(typeof self !== 'undefined' ? self : this, function (BUMP) {
+  'use strict';
+  if (!BUMP) throw new Error('tsc.js requires bump.js (BUMP) to be loaded first');
+
+  var TARGET_TYPES = ['hash', 'header', 'merkleRoot'];
+  var MAX_NODES = 64;
+
+  // ---- hex helpers -------------------------------------------------
+  function fromHex(hex) {
+    if (typeof hex !== 'string' || hex.length % 2 !== 0 || /[^0-9a-fA-F]/.test(hex)) {
+      throw new Error('TSC: invalid hex input');
+    }
+    var a = new Uint8Array(hex.length / 2);
+    for (var i = 0; i < a.length; i++) a[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return a;
+  }
+  function toHex(u8) {
+    var s = '';
+    for (var i = 0; i < u8.length; i++) s += (u8[i] < 16 ? '0' : '') + u8[i].toString(16);
+    return s;
+  }
+  function reverse(u8) {
+    var r = new Uint8Array(u8.length);
+    for (var i = 0; i < u8.length; i++) r[i] = u8[u8.length - 1 - i];
+    return r;
+  }
+  function sha256d(u8) { return BUMP.sha256(BUMP.sha256(u8)); }
+  function isHash(h) { return typeof h === 'string' && /^[0-9a-fA-F]{64}$/.test(h); }
+
+  // ---- Reader (VarInt aware, bounds-checked) -----------------------
+  function Reader(u8) { this.buf = u8; this.pos = 0; }
+  Reader.prototype.u8 = function () {
+    if (this.pos >= this.buf.length) throw new Error('TSC: unexpected end of stream');
+    return this.buf[this.pos++];
+  };
+  Reader.prototype.bytes = function (n) {
+    if (this.pos + n > this.buf.length) throw new Error('TSC: read past end of stream');
+    var b = this.buf.subarray(this.pos, this.pos + n); this.pos += n; return b;
+  };
+  Reader.prototype.varInt = function () {
+    var f = this.u8();
+    if (f < 0xfd) return f;
+    if (f === 0xfd) { var a = this.u8(), b = this.u8(); return a | (b << 8); }
+    if (f === 0xfe) { var c = this.bytes(4); return c[0] | (c[1] << 8) | (c[2] << 16) | (c[3] * 0x1000000); }
+    var d = this.bytes(8);
+    var lo = d[0] | (d[1] << 8) | (d[2] << 16) | (d[3] * 0x1000000);
+    var hi = d[4] | (d[5] << 8) | (d[6] << 16) | (d[7] * 0x1000000);
+    return hi * 0x100000000 + lo;
+  };
+
+  // ------------------------------------------------------------------
+  // Parse a TSC proof: a BRC-10 JSON object, its JSON text, or BRC-11 binary hex.
+  // Returns { index, txid, rawTx, targetType, target, nodes } — txid / target /
+  // nodes in display hex ('*' kept), rawTx hex or null, target a raw header hex
+  // when targetType is 'header'. Throws on anything malformed or unsupported.
+  // ------------------------------------------------------------------
+  function parse(input) {
+    if (typeof input === 'string' && /^\s*\{/.test(input)) {
+      try { input = JSON.parse(input); } catch (e) { throw new Error('TSC: proof is not valid JSON'); }
+    }
+    return checked(typeof input === 'string' ? fromBinary(input) : fromJSON(input));
+  }
+
+  function fromJSON(obj) {
+    if (!obj || typeof obj !== 'object') throw new Error('TSC: proof must be an object, JSON text or binary hex');
+    if (obj.proofType !== undefined && obj.proofType !== 'branch') throw new Error('TSC: proofType ' + obj.proofType + ' is not supported');
+    if (obj.composite) throw new Error('TSC: composite proofs are not supported');
+    var targetType = obj.targetType === undefined ? 'hash' : obj.targetType;
+    if (TARGET_TYPES.indexOf(targetType) === -1) throw new Error('TSC: unknown targetType ' + targetType);
+    if (typeof obj.txOrId !== 'string') throw new Error('TSC: txOrId must be a txid or raw transaction hex');
+    var rawTx = obj.txOrId.length === 64 ? null : obj.txOrId.toLowerCase();
+    if (rawTx !== null) fromHex(rawTx);
+    if (!Array.isArray(obj.nodes)) throw new Error('TSC: nodes must be an array');
+    return {
+      index: obj.index,
+      txid: rawTx === null ? obj.txOrId.toLowerCase() : toHex(reverse(sha256d(fromHex(rawTx)))),
+      rawTx: rawTx,
+      targetType: targetType,
+      target: typeof obj.target === 'string' ? obj.target.toLowerCase() : obj.target,
+      nodes: obj.nodes.map(function (n) { return typeof n === 'string' ? n.toLowerCase() : n; })
+    };
+  }
+
+  // flags: bit0 full tx, bits1-2 target type (0 hash, 1 header, 2 Merkle root),
+  // bit3 tree proof, bit4 composite. Nodes: type 0 hash, 1 duplicate, 2 index.
+  function fromBinary(hex) {
+    var r = new Reader(fromHex(hex));
+    var flags = r.u8();
+    if (flags & 0x08) throw new Error('TSC: proofType tree is not supported');
+    if (flags & 0x10) throw new Error('TSC: composite proofs are not supported');
+    if (flags & 0xe0) throw new Error('TSC: unknown flag bits 0x' + (flags & 0xe0).toString(16));
+    var targetCode = (flags >> 1) & 0x03;
+    if (targetCode === 3) throw new Error('TSC: unknown target type');
+    var index = r.varInt();
+    var rawTx = null, txid;
+    if (flags & 0x01) {
+      var tx = r.bytes(r.varInt());
+      rawTx = toHex(tx);
+      txid = toHex(reverse(sha256d(tx)));
+    } else {
+      txid = toHex(reverse(r.bytes(32)));
+    }
+    var targetType = TARGET_TYPES[targetCode];
+    var target = targetType === 'header' ? toHex(r.bytes(80)) : toHex(reverse(r.bytes(32)));
+    var count = r.varInt();
+    if (count > MAX_NODES) throw new Error('TSC: ' + count + ' nodes exceeds the maximum depth');
+    var nodes = [];
+    for (var i = 0; i < count; i++) {
+      var type = r.u8();
+      if (type === 0) nodes.push(toHex(reverse(r.bytes(32))));
+      else if (type === 1) nodes.push('*');
+      else if (type === 2) throw new Error('TSC: index nodes belong to composite proofs and are not supported');
+      else throw new Error('TSC: unknown node type ' + type);
+    }
+    if (r.pos !== r.buf.length) throw new Error('TSC: ' + (r.buf.length - r.pos) + ' trailing byte(s) after proof');
+    return { index: index, txid: txid, rawTx: rawTx, targetType: targetType, target: target, nodes: nodes };
+  }
+
+  // Shared field checks, so both encodings are held to the same rules.
+  function checked(p) {
+    if (!Number.isInteger(p.index) || p.index < 0) throw new Error('TSC: index must be a non-negative integer');
+    if (!isHash(p.txid)) throw new Error('TSC: txid must be 64 hex characters');
+    if (p.targetType === 'header' ? !(typeof p.target === 'string' && /^[0-9a-f]{160}$/.test(p.target)) : !isHash(p.target)) {
+      throw new Error('TSC: target is not a valid ' + p.targetType);
+    }
+    if (p.nodes.length > MAX_NODES) throw new Error('TSC: ' + p.nodes.length + ' nodes exceeds the maximum depth');
+    if (p.index >= Math.pow(2, p.nodes.length)) throw new Error('TSC: index ' + p.index + ' does not fit a ' + p.nodes.length + '-level branch');
+    p.nodes.forEach(function (n, i) {
+      if (n !== '*' && !isHash(n)) throw new Error('TSC: node ' + i + ' must be 64 hex characters or *');
+      // A duplicate pairs a node with itself, so it is only ever the right-hand sibling.
+      if (n === '*' && ((p.index >> i) & 1)) throw new Error('TSC: node ' + i + ' is * but the path is the right-hand node');
+    });
+    // The same holds for a duplicate written out as a hash: a left sibling equal to the
+    // working hash claims a node past the end of its level (fromElectrum refuses it too).
+    var working = reverse(fromHex(p.txid));
+    p.nodes.forEach(function (n, i) {
+      var left = (p.index >> i) & 1;
+      var sibling = n === '*' ? working : reverse(fromHex(n));
+      if (left && n !== '*' && toHex(sibling) === toHex(working)) {
+        throw new Error('TSC: node ' + i + ' repeats the working hash but sits on the left');
+      }
+      var pair = new Uint8Array(64);
+      pair.set(left ? sibling : working, 0);
+      pair.set(left ? working : sibling, 32);
+      working = sha256d(pair);
+    });
+    return p;
+  }
+
+  // ------------------------------------------------------------------
+  // Conversions
+  // ------------------------------------------------------------------
+  // BUMP object proving the txid. TSC does not carry the block height; pass it when
+  // known (0 = unknown, which lookups by height then simply miss).
+  function toBump(proof, blockHeight) {
+    var p = checked(proof);
+    var path = [];
+    for (var h = 0; h < p.nodes.length; h++) {
+      var sib = (p.index >> h) ^ 1;
+      var leaf = p.nodes[h] === '*' ? { offset: sib, duplicate: true } : { offset: sib, hash: p.nodes[h] };
+      if (h === 0) path.push([{ offset: p.index, txid: true, hash: p.txid }, leaf].sort(function (a, b) { return a.offset - b.offset; }));
+      else path.push([leaf]);
+    }
+    if (path.length === 0) path.push([{ offset: 0, txid: true, hash: p.txid }]); // one-transaction block
+    return { blockHeight: blockHeight || 0, path: path };
+  }
+
+  // Merkle root (display hex) the proof reconstructs.
+  function merkleRoot(proof) {
+    var p = checked(proof);
+    return BUMP.merkleRoot(toBump(p, 0), p.txid);
+  }
+
+  // Legacy `proof` array: sibling hashes in internal byte order with their side.
+  // '*' becomes the working hash it stands for.
+  function toProof(proof) {
+    var p = checked(proof);
+    var working = reverse(fromHex(p.txid));
+    return p.nodes.map(function (n, i) {
+      var right = ((p.index >> i) & 1) === 0;
+      var sibling = n === '*' ? working : reverse(fromHex(n));
+      var pair = new Uint8Array(64);
+      pair.set(right ? working : sibling, 0);
+      pair.set(right ? sibling : working, 32);
+      working = sha256d(pair);
+      return { hash: toHex(sibling), pos: right ? 'R' : 'L' };
+    });
+  }
+
+  // Does the proof's target name this header? 'hash' compares the header's block
+  // hash, 'header' the header bytes, 'merkleRoot' the header's root field.
+  function checkTarget(proof, blockHeaderHex) {
+    var p = checked(proof);
+    var header = String(blockHeaderHex || '').toLowerCase();
+    if (!/^[0-9a-f]{160}$/.test(header)) return { ok: false, reason: 'no 80-byte block header to compare the target with' };
+    var actual = p.targetType === 'header' ? header
+      : p.targetType === 'merkleRoot' ? toHex(reverse(fromHex(header.slice(72, 136))))
+      : toHex(reverse(sha256d(fromHex(header))));
+    return actual === p.target
+      ? { ok: true, reason: 'TSC target (' + p.targetType + ') matches the block header' }
+      : { ok: false, reason: 'TSC target (' + p.targetType + ') ' + p.target.slice(0, 16) + '… does not match the block header' };
+  }
+
+  // ------------------------------------------------------------------
+  // Electrum protocol: blockchain.transaction.get_merkle answers
+  // { block_height, merkle: [display hex, bottom-to-top], pos }. It is a TSC branch
+  // except that a duplicated node is sent as its own hash rather than '*'. Returns
+  // { blockHeight, tsc, bump, proof } once the branch reconstructs the header's
+  // Merkle root (the generator's attachBump guard); throws otherwise.
+  // ------------------------------------------------------------------
+  function fromElectrum(result, txid, blockHeaderHex) {
+    if (!result || typeof result !== 'object' || !Array.isArray(result.merkle)) {
+      throw new Error('TSC: Electrum result must be { block_height, merkle, pos }');
+    }
+    if (!Number.isInteger(result.block_height) || result.block_height < 0) throw new Error('TSC: Electrum block_height must be a non-negative integer');
+    var header = String(blockHeaderHex || '').toLowerCase();
+    if (!/^[0-9a-f]{160}$/.test(header)) throw new Error('TSC: Electrum proofs need the 80-byte block header');
+    if (!isHash(txid)) throw new Error('TSC: txid must be 64 hex characters');
+    if (result.merkle.length > MAX_NODES) throw new Error('TSC: ' + result.merkle.length + ' nodes exceeds the maximum depth');
+    // A sibling equal to the working hash is the duplicated last node of its level.
+    var working = reverse(fromHex(txid.toLowerCase()));
+    var nodes = result.merkle.map(function (n, i) {
+      if (!isHash(n)) throw new Error('TSC: Electrum merkle[' + i + '] must be 64 hex characters');
+      var sibling = reverse(fromHex(n.toLowerCase()));
+      var right = ((result.pos >> i) & 1) === 0;
+      var pair = new Uint8Array(64);
+      pair.set(right ? working : sibling, 0);
+      pair.set(right ? sibling : working, 32);
+      var duplicate = toHex(sibling) === toHex(working);
+      working = sha256d(pair);
+      return duplicate ? '*' : n.toLowerCase();
+    });
+    var tsc = checked({ index: result.pos, txid: txid.toLowerCase(), rawTx: null, targetType: 'header', target: header, nodes: nodes });
+    var bump = toBump(tsc, result.block_height);
+    if (BUMP.merkleRoot(bump, tsc.txid) !== toHex(reverse(fromHex(header.slice(72, 136))))) {
+      throw new Error('TSC: Electrum branch does not reconstruct the header merkleRoot');
+    }
+    return { blockHeight: result.block_height, tsc: tsc, bump: bump, proof: toProof(tsc) };
+  }
+
+  // ---- self-test ---------------------------------------------------
+  // The BRC-10 / BRC-11 published example: the same proof in JSON and binary.
+  var VECTOR_JSON = {
+    index: 12,
+    txOrId: 'ffeff11c25cde7c06d407490d81ef4d0db64aad6ab3d14393530701561a465ef',
+    target: '75edb0a69eb195cdd81e310553aa4d25e18450e08f168532a2c2e9cf447bf169',
+    nodes: [
+      'b9ef07a62553ef8b0898a79c291b92c60f7932260888bde0dab2dd2610d8668e',
+      '0fc1c12fb1b57b38140442927ffadb3d1e5a5039a5d6db355ea25486374f104d',
+      '60b0e75dd5b8d48f2d069229f20399e07766dd651ceeed55ee3c040aa2812547',
+      'c0d8dbda46366c2050b430a05508a3d96dc0ed55aea685bb3d9a993f8b97cc6f',
+      '391e62b3419d8a943f7dbc7bddc90e30ec724c033000dc0c8872253c27b03a42'
+    ]
+  };
+  var VECTOR_BINARY = '000cef65a4611570303539143dabd6aa64dbd0f41ed89074406dc0e7cd251cf1efff69f17b44cfe9c2a23285168fe05084e1254daa5305311ed8cd95b19ea6b0ed7505008e66d81026ddb2dae0bd88082632790fc6921b299ca798088bef5325a607efb9004d104f378654a25e35dbd6a539505a1e3ddbfa7f92420414387bb5b12fc1c10f00472581a20a043cee55edee1c65dd6677e09903f22992062d8fd4b8d55de7b060006fcc978b3f999a3dbb85a6ae55edc06dd9a30855a030b450206c3646dadbd8c000423ab0273c2572880cdc0030034c72ec300ec9dd7bbc7d3f948a9d41b3621e39';
+
+  function selfTest() {
+    var results = [], ok = true;
+    function check(n, c) { results.push({ name: n, pass: !!c }); if (!c) ok = false; }
+    function refuses(input, re) { try { parse(input); return false; } catch (e) { return re.test(e.message); } }
+
+    var fromJson = parse(VECTOR_JSON), fromBin = parse(VECTOR_BINARY);
+    check('JSON and binary vectors parse to the same proof', JSON.stringify(fromJson) === JSON.stringify(fromBin));
+    check('vector: index 12, block-hash target, 5 nodes',
+      fromBin.index === 12 && fromBin.targetType === 'hash' && fromBin.target === VECTOR_JSON.target && fromBin.nodes.length === 5);
+    check('JSON text parses like the object', JSON.stringify(parse(JSON.stringify(VECTOR_JSON))) === JSON.stringify(fromJson));
+
+    // A real tree: mainnet block 100000, tx 2 (its sibling is tx 3, then H(tx0, tx1)).
+    var built = BUMP.fromBlockTxids([
+      '8c14f0db3df150123e6f3dbbf30f8b955a8249b62ac1d1ff16284aefa3d06d87',
+      'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4',
+      '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+      'e9a66845e05d5abc0ad04ec80f774a7e585c6e8db975962d069a522137b80c1d'
+    ], 100000, ['6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4']);
+    var real = {
+      index: 2, txOrId: '6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4',
+      targetType: 'merkleRoot', target: built.root,
+      nodes: [built.bump.path[0][1].hash, built.bump.path[1][0].hash]
+    };
+    check('block 100000: root matches the block\'s Merkle root', merkleRoot(parse(real)) === built.root);
+    check('block 100000: toBump equals the BUMP built from the whole block',
+      BUMP.toHex(toBump(parse(real), 100000)) === BUMP.toHex(built.bump));
+    var steps = toProof(parse(real));
+    check('block 100000: legacy proof sides follow the index', steps.map(function (s) { return s.pos; }).join('') === 'RL' &&
+      steps[0].hash === toHex(reverse(fromHex(real.nodes[0]))));
+
+    // '*' at an upper level: five leaves, the last one's parent pairs with itself.
+    var five = [];
+    for (var i = 0; i < 5; i++) five.push(toHex(sha256d(new Uint8Array([i]))));
+    var tree5 = BUMP.fromBlockTxids(five, 1, [five[4]]);
+    var dup = { index: 4, txOrId: five[4], targetType: 'merkleRoot', target: tree5.root, nodes: ['*', '*', tree5.bump.path[2][0].hash] };
+    check('duplicate nodes reconstruct the root', merkleRoot(parse(dup)) === tree5.root &&
+      BUMP.toHex(toBump(parse(dup), 1)) === BUMP.toHex(tree5.bump));
+    var legacy = toProof(parse(dup));
+    check('legacy proof spells out duplicates as the working hash', legacy[0].hash === toHex(reverse(fromHex(five[4]))) &&
+      legacy.every(function (s) { return s.hash !== '*'; }));
+
+    check('target check: matching Merkle root accepted', checkTarget(parse(real),
+      '01000000' + '00'.repeat(32) + toHex(reverse(fromHex(built.root))) + '00'.repeat(12)).ok === true);
+    check('target check: another header refused', checkTarget(fromJson, '01' + '00'.repeat(79)).ok === false);
+    check('refuses composite proofs', refuses(Object.assign({}, VECTOR_JSON, { composite: true }), /composite/));
+    var binaryFlags = fromHex(VECTOR_BINARY.slice(0, 2))[0];
+    check('refuses the binary composite flag', refuses(toHex(new Uint8Array([binaryFlags | 0x10])) + VECTOR_BINARY.slice(2),
+      /composite proofs are not supported/));
+    var lastNode = VECTOR_BINARY.length - 66;
+    check('refuses a binary index node', VECTOR_BINARY.slice(lastNode, lastNode + 2) === '00' &&
+      refuses(VECTOR_BINARY.slice(0, lastNode) + '02' + VECTOR_BINARY.slice(lastNode + 2), /index nodes belong to composite proofs/));
+    check('refuses tree proofs', refuses('08' + VECTOR_BINARY.slice(2), /tree is not supported/));
+    check('refuses trailing bytes', refuses(VECTOR_BINARY + '00', /trailing/));
+    check('refuses * on the right-hand path', refuses(Object.assign({}, dup, { index: 5 }), /right-hand node/));
+    check('refuses an index wider than the branch', refuses(Object.assign({}, VECTOR_JSON, { index: 32 }), /does not fit/));
+
+    // Electrum: the five-leaf tree's last leaf, whose branch repeats the working hash twice.
+    var header5 = '01000000' + '00'.repeat(32) + toHex(reverse(fromHex(tree5.root))) + '00'.repeat(12);
+    var h44 = toHex(reverse(sha256d(new Uint8Array(Array.from(reverse(fromHex(five[4]))).concat(Array.from(reverse(fromHex(five[4]))))))));
+    var electrum = { block_height: 1, pos: 4, merkle: [five[4], h44, tree5.bump.path[2][0].hash] };
+    var imported = fromElectrum(electrum, five[4], header5);
+    check('Electrum: repeated working hashes become duplicates', imported.tsc.nodes.join() === ['*', '*', electrum.merkle[2]].join() &&
+      BUMP.toHex(imported.bump) === BUMP.toHex(tree5.bump));
+    check('Electrum: legacy proof matches the TSC conversion', JSON.stringify(imported.proof) === JSON.stringify(legacy));
+    function electrumRefuses(res, re) { try { fromElectrum(res, five[4], header5); return false; } catch (e) { return re.test(e.message); } }
+    check('Electrum: refuses a branch for another block', electrumRefuses(Object.assign({}, electrum, { merkle: electrum.merkle.slice(0, 2).concat([five[0]]) }), /does not reconstruct/));
+    check('Electrum: refuses a repeated hash on the right-hand path', electrumRefuses(Object.assign({}, electrum, { pos: 5 }), /right-hand node/));
+    var spelled = Object.assign({}, dup, { nodes: electrum.merkle });
+    check('parse: a duplicate spelled out as the working hash on the right is accepted', merkleRoot(parse(spelled)) === tree5.root);
+    check('parse: the same on the left, a phantom node, is refused as fromElectrum refuses it',
+      refuses(Object.assign({}, spelled, { index: 5 }), /node 0 repeats the working hash but sits on the left/));
+
+    return { passed: ok, results: results };
+  }
+
+  return {
+    parse: parse,
+    toBump: toBump,
+    toProof: toProof,
+    merkleRoot: merkleRoot,
+    checkTarget: checkTarget,
+    fromElectrum: fromElectrum,
+    selfTest: selfTest,
+    VECTOR: { json: VECTOR_JSON, binary: VECTOR_BINARY }
+  };
+});
+
+if (typeof module === 'object' && module.exports && require.main === module) {
+  var out = module.exports.selfTest();
+  out.results.forEach(function (r) { console.log((r.pass ? 'PASS ' : 'FAIL ') + r.name); });
+  console.log('\n' + (out.passed ? 'ALL PASSED' : 'FAILURES PRESENT'));
+  process.exit(out.passed ? 0 : 1);
+}
@@ -18,6 +18,7 @@
  * arrays below — the more real-world shapes, the stronger the guarantee.
  */
 'use strict';
+const { isDeepStrictEqual } = require('util');
 
 let sdk;
 try { sdk = require('@bsv/sdk'); }
@@ -36,6 +37,7 @@ const ok = (c, m) => { if (c) pass++; else { fail++; fails.push(m); } };
 // ---------------------------------------------------------------------------
 const BUMP_VECTORS = [
   [BUMP.VECTOR.hex, BUMP.VECTOR.txids],
+  [BUMP.COMPOUND.hex, BUMP.COMPOUND.txids],   // trimmed MerklePath.combine output
   // ADD MORE: e.g. paste MerklePath hex from your wallet or the ts-sdk fixtures.
 ];
 
@@ -49,7 +51,17 @@ for (let v = 0; v < BUMP_VECTORS.length; v++) {
     ok(BUMP.toHex(mine).toLowerCase() === sdkMP.toHex().toLowerCase(),
       `BUMP[${v}] toHex matches @bsv/sdk`);
 
-    // 2. computed roots agree, per client txid
+    // 2. JSON interchange: my toJSON is the SDK's MerklePath JSON, and each side
+    //    reads the other's JSON back to the same bytes
+    const sdkJson = JSON.parse(JSON.stringify({ blockHeight: sdkMP.blockHeight, path: sdkMP.path }));
+    ok(isDeepStrictEqual(BUMP.toJSON(mine), sdkJson), `BUMP[${v}] toJSON matches @bsv/sdk MerklePath JSON`);
+    ok(BUMP.toHex(BUMP.fromJSON(JSON.stringify(sdkJson))) === hex.toLowerCase(),
+      `BUMP[${v}] fromJSON reads the SDK's JSON back to the same hex`);
+    const mineJson = BUMP.toJSON(mine);
+    ok(new MerklePath(mineJson.blockHeight, mineJson.path).toHex().toLowerCase() === hex.toLowerCase(),
+      `BUMP[${v}] @bsv/sdk builds the same hex from my JSON`);
+
+    // 3. computed roots agree, per client txid
     for (const txid of txids) {
       const sdkRoot = sdkMP.computeRoot(txid);
       const myRoot = BUMP.merkleRoot(mine, txid);
@@ -58,6 +70,43 @@ for (let v = 0; v < BUMP_VECTORS.length; v++) {
   } catch (e) { fail++; fails.push(`BUMP[${v}] threw: ${e.message}`); }
 }
 
+// ---------------------------------------------------------------------------
+// Compound paths: the SDK's MerklePath.combine and my merge write the same
+// trimmed bytes, and its JSON reads back through my fromJSON.
+// ---------------------------------------------------------------------------
+try {
+  const block = Array.from({ length: 7 }, (_, i) => (i + 1).toString(16).padStart(2, '0').repeat(32));
+  const picks = [1, 2, 5];
+  const singles = picks.map(i => BUMP.fromBlockTxids(block, 800000, [block[i]]).bump);
+  const combined = MerklePath.fromHex(BUMP.toHex(singles[0]));
+  for (const one of singles.slice(1)) combined.combine(MerklePath.fromHex(BUMP.toHex(one)));
+  const sdkHex = combined.toHex().toLowerCase();
+  ok(BUMP.toHex(singles.reduce((a, b) => BUMP.merge(a, b))) === sdkHex, 'combine: my merge writes MerklePath.combine\'s bytes');
+  const sdkJson = JSON.stringify({ blockHeight: combined.blockHeight, path: combined.path });
+  const back = BUMP.fromJSON(sdkJson);
+  ok(BUMP.toHex(back) === sdkHex, 'combine: fromJSON reads the combined path back to the same hex');
+  ok(new MerklePath(back.blockHeight, BUMP.toJSON(back).path).toHex().toLowerCase() === sdkHex,
+    'combine: @bsv/sdk builds the same hex from my JSON of it');
+  ok(BUMP.validate(back, { strict: true }).valid, 'combine: the combined path is canonical under strict validate');
+  for (const i of picks) {
+    ok(BUMP.merkleRoot(back, block[i]) === combined.computeRoot(block[i]), `combine: root for leaf ${i} agrees`);
+  }
+
+  // BEEF level: a V2 bundle the SDK writes around the combined path merges with
+  // a bundle holding one of its parts, giving back the SDK's bytes.
+  const { Beef } = sdk;
+  if (Beef && typeof Beef.prototype.mergeTxidOnly === 'function') {
+    const whole = new Beef();
+    whole.mergeBump(combined);
+    for (const i of picks) whole.mergeTxidOnly(block[i]);
+    const part = new Beef();
+    part.mergeBump(MerklePath.fromHex(BUMP.toHex(singles[0])));
+    part.mergeTxidOnly(block[picks[0]]);
+    ok(BEEF.build(BEEF.merge(part.toHex(), whole.toHex())) === whole.toHex().toLowerCase(),
+      'combine: BEEF.merge with the SDK\'s compound-BUMP bundle re-emits its bytes');
+  }
+} catch (e) { fail++; fails.push('combine threw: ' + e.message); }
+
 // ---------------------------------------------------------------------------
 // BEEF vectors: [hex]
 // ---------------------------------------------------------------------------
@@ -85,6 +134,23 @@ for (let v = 0; v < BEEF_VECTORS.length; v++) {
   } catch (e) { fail++; fails.push(`BEEF[${v}] threw: ${e.message}`); }
 }
 
+// ---------------------------------------------------------------------------
+// BEEF V2 (BRC-96): my 0200BEEF bytes parse in the SDK and re-emit identically.
+// ---------------------------------------------------------------------------
+try {
+  const { Beef } = sdk;
+  if (Beef && typeof Beef.fromString === 'function') {
+    const v2 = BEEF.parse(BEEF.VECTOR.hex);
+    v2.version = 2;
+    const myV2 = BEEF.build(v2);
+    const sdkBeef = Beef.fromString(myV2, 'hex');
+    ok(sdkBeef.toHex().toLowerCase() === myV2, 'BEEF V2: @bsv/sdk re-emits my V2 bytes identically');
+    ok(isDeepStrictEqual(sdkBeef.txs.map(t => t.txid), v2.transactions.map(t => t.txid)), 'BEEF V2: transaction order and txids agree');
+    const known = BEEF.build({ version: 2, bumps: v2.bumps, transactions: [{ txid: v2.transactions[0].txid, txidOnly: true }, v2.transactions[1]] });
+    ok(Beef.fromString(known, 'hex').toHex().toLowerCase() === known, 'BEEF V2: txid-only entry round-trips through @bsv/sdk');
+  }
+} catch (e) { fail++; fails.push('BEEF V2 threw: ' + e.message); }
+
 // ---------------------------------------------------------------------------
 // Freshly-generated vector: build a proof with the SDK, verify with mine.
 // (Requires a MerklePath the SDK builds; skipped gracefully if API differs.)
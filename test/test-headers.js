@@ -0,0 +1,930 @@
+/*
+ * test-headers.js — header-chain policy tests for lib/headers.js.
+ * Run: node test/test-headers.js   (from the repo root)
+ *
+ * Pure-function tests over hand-built header arrays (no PoW grinding), plus the
+ * verifyHeaderChain wiring that can be exercised with an anchor-only headers.bin.
+ *   DAA) retarget-aware difficulty validation (enforceDifficultyAdjustment)
+ *   FC)  most-work fork choice between supplied chains (compareHeaderChains)
+ *   NET) load-time network parameters (regtest chains are mined for real in a child process)
+ *   VER) createVerifier instances own their chain and floor (no shared module state)
+ *   EXT) incremental extension with headers deltas (extendHeaderChain)
+ *   BK)  backward-anchored segment for pre-checkpoint history
+ *   CONF) confirmation depth, buried work and depth-policy thresholds in chainInclusion;
+ *         a page's Minimum confirmations field (watchMinConfirmations)
+ *   MTP) median-time-past rule, future drift against a supplied clock, medianTimePast()
+ *   IDX) random access by height and Merkle root (getHeaderByHeight, findHeightByMerkleRoot),
+ *        and the companion index file (buildHeaderIndex, openHeaderIndex)
+ *   CP)  hash-pinned checkpoint manifests: several trust anchors loaded at runtime
+ *   DIFF) refreshed-chain diff: common ancestor, reorged-out blocks (diffHeaderChains)
+ *   ANA) anomaly analysis of a verified chain (analyzeHeaderChain)
+ *   FORGE) expected hashes to forge a block's evidence, alone and against a chain (forgeryCost)
+ *   STR) chunked streaming verification, progress, cancellation and worker_threads (async, run last)
+ */
+'use strict';
+const { spawnSync } = require('child_process');
+const { isDeepStrictEqual } = require('util');
+const { Worker } = require('worker_threads');
+require('../lib/crypto.js');
+require('../lib/encoding.js');
+require('../lib/secp256k1.js');
+require('../lib/headers.js');
+
+let pass = 0, fail = 0;
+function check(name, cond) { (cond ? pass++ : fail++); console.log((cond ? 'PASS ' : 'FAIL ') + name); }
+function throws(name, fn, match) {
+  try { fn(); check(name + ' (expected throw)', false); }
+  catch (e) { check(name, match ? new RegExp(match, 'i').test(e.message) : true); }
+}
+
+const H = global;
+const CP = H.CHECKPOINT;
+
+// [height u32][anchorHash 32][count u32] + headers*80
+function buildChainFile(anchorHeight, anchorHashHex, headerHexes) {
+  const out = new Uint8Array(40 + headerHexes.length * 80);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, anchorHeight, true);
+  out.set(H.hexToBytes(anchorHashHex), 4);
+  dv.setUint32(36, headerHexes.length, true);
+  headerHexes.forEach((h, i) => out.set(H.hexToBytes(h), 40 + i * 80));
+  return out;
+}
+
+// Synthetic header records: { height, nBits, timestamp, target }. spacing(i) gives the
+// seconds between header i-1 and i; nBits after the DAA context are derived by the DAA
+// itself so the run is consensus-consistent by construction.
+function daaRun(count, startNBits, spacing) {
+  const headers = [], work = [];
+  let ts = 1700000000, acc = 0n;
+  for (let i = 0; i < count; i++) {
+    ts += spacing(i);
+    const nBits = i < H.DAA_CONTEXT ? startNBits : H.expectedNBits(headers.concat([{ timestamp: ts }]), i, work);
+    const target = H.targetFromNBits(nBits);
+    headers.push({ height: CP.height + 1 + i, nBits, timestamp: ts, target });
+    acc += H.workFromTarget(target);
+    work.push(acc);
+  }
+  return headers;
+}
+
+// ---- DAA) retarget-aware difficulty -----------------------------------------
+(function () {
+  check('DAA0: nBitsFromTarget round-trips the checkpoint nBits',
+    H.nBitsFromTarget(H.targetFromNBits(CP.nBits)) === CP.nBits);
+  check('DAA0: nBitsFromTarget round-trips difficulty-1 (0x1d00ffff)',
+    H.nBitsFromTarget(H.targetFromNBits(0x1d00ffff)) === 0x1d00ffff);
+  check('DAA0: nBitsFromTarget shifts out the sign bit (0x80 mantissa)',
+    H.nBitsFromTarget(0x80n) === 0x02008000);
+
+  // Steady 600s blocks at a constant difficulty: the DAA reproduces the same nBits.
+  const steady = daaRun(H.DAA_CONTEXT + 30, CP.nBits, () => 600);
+  check('DAA1: steady 600s blocks keep the checkpoint nBits',
+    steady.every(h => h.nBits === CP.nBits));
+  let res = null;
+  try { res = H.enforceDifficultyAdjustment(steady); } catch (e) { res = null; }
+  check('DAA2: consensus-consistent run passes enforceDifficultyAdjustment',
+    !!res && res.checked === 30 && res.fromHeight === CP.height + 1 + H.DAA_CONTEXT);
+
+  // One header with an nBits the DAA did not derive is rejected, naming its height.
+  const forged = steady.map(h => Object.assign({}, h));
+  const bad = forged[H.DAA_CONTEXT + 5];
+  bad.nBits = 0x1d00ffff; bad.target = H.targetFromNBits(bad.nBits);
+  throws('DAA3: intermediate header with non-derived nBits is rejected',
+    () => H.enforceDifficultyAdjustment(forged), 'at ' + bad.height + '.*DAA requires');
+
+  // Headers without a full window are not checked (the caller floor-gates them).
+  const short = steady.slice(0, H.DAA_CONTEXT);
+  const r2 = H.enforceDifficultyAdjustment(short);
+  check('DAA4: fewer than DAA_CONTEXT headers -> nothing checkable', r2.checked === 0 && r2.fromHeight === null);
+
+  // Slow blocks raise the target, but the 288*600 timespan clamp caps each step at 2x
+  // the window's average target.
+  const slow = daaRun(H.DAA_CONTEXT + 1, CP.nBits, () => 600);
+  const cw = []; let acc = 0n;
+  slow.forEach(h => { acc += H.workFromTarget(h.target); cw.push(acc); });
+  const stretched = slow.map((h, i) => Object.assign({}, h, { timestamp: 1700000000 + i * 6000 }));
+  const next = H.targetFromNBits(H.expectedNBits(stretched, H.DAA_CONTEXT, cw));
+  const base = H.targetFromNBits(CP.nBits);
+  check('DAA5: 10x slower window raises the target, clamped to ~2x',
+    next > base && next <= base * 2n + (base >> 16n));
+
+  // A genuine hashrate crash: a long run of very slow blocks walks the DAA target far
+  // past the 8x static floor. Every header is consensus-valid, so DAA mode accepts the
+  // run while the static floor policy rejects it — the false negative DAA mode removes.
+  const crash = daaRun(H.DAA_CONTEXT + 600, CP.nBits, i => (i < H.DAA_CONTEXT ? 600 : 6000));
+  const tip = crash[crash.length - 1];
+  check('DAA6: crash run ends more than 8x easier than the checkpoint (precondition)',
+    tip.target > H.STATIC_FLOOR_TARGET);
+  let daaOk = true; try { H.enforceDifficultyAdjustment(crash); } catch (e) { daaOk = false; }
+  check('DAA6: consensus-derived crash run passes the DAA check', daaOk);
+  throws('DAA6: the same run fails the static floor policy',
+    () => H.enforceChainFloor(crash, H.STATIC_FLOOR_TARGET), 'floor');
+})();
+
+// ---- DAA wiring through verifyHeaderChain -----------------------------------
+(function () {
+  const file = buildChainFile(CP.height, CP.hash, []);
+  const r = H.verifyHeaderChain(file, CP, { difficultyMode: 'daa' });
+  check('DAA7: daa mode on an anchor-only chain verifies and reports its mode',
+    r.difficultyMode === 'daa' && r.daaVerifiedFrom === null);
+  check('DAA8: default mode is the static floor',
+    H.verifyHeaderChain(file, CP).difficultyMode === 'floor');
+  throws('DAA9: unknown difficultyMode is refused, not ignored',
+    () => H.verifyHeaderChain(file, CP, { difficultyMode: 'rolling' }), 'difficultyMode');
+})();
+
+// ---- FC) most-work fork choice ----------------------------------------------
+// Hand-built verifyHeaderChain-shaped results: fork choice only reads anchor, headers
+// (hash/target), hashIndex, tip and cumulativeWork, none of which need real PoW here.
+function fakeChain(anchor, hashes, target) {
+  const headers = [], hashIndex = new Map([[anchor.hash, anchor.height]]);
+  let work = 0n;
+  hashes.forEach((hash, i) => {
+    const t = Array.isArray(target) ? target[i] : target;
+    headers.push({ height: anchor.height + 1 + i, hash, target: t });
+    hashIndex.set(hash, anchor.height + 1 + i);
+    work += H.workFromTarget(t);
+  });
+  const tip = headers.length ? headers[headers.length - 1] : { height: anchor.height, hash: anchor.hash };
+  return { anchor, headers, hashIndex, tipHeight: tip.height, tipHash: tip.hash, cumulativeWork: work };
+}
+const fh = n => n.toString(16).padStart(64, '0');
+
+(function () {
+  const anchor = { height: CP.height, hash: CP.hash };
+  const T = H.targetFromNBits(CP.nBits);
+  const a = fakeChain(anchor, [fh(1), fh(2), fh(3), fh(4)], T);
+  const b = fakeChain(anchor, [fh(1), fh(2), fh(0xb3)], T);
+
+  const fc = H.compareHeaderChains([a, b]);
+  check('FC1: fork located after the last common header',
+    fc.forkHeight === CP.height + 2 && fc.forkHash === fh(2));
+  check('FC2: longer equal-difficulty branch has the most work',
+    fc.bestIndex === 0 && !fc.tie && fc.margin === H.workFromTarget(T));
+  check('FC2: per-branch headers/work after the fork',
+    fc.branches[0].headersAfterFork === 2 && fc.branches[1].headersAfterFork === 1 &&
+    fc.branches[1].workAfterFork === H.workFromTarget(T));
+
+  // Fewer headers can still be more work: fork choice is by work, not length.
+  const heavy = fakeChain(anchor, [fh(1), fh(2), fh(0xc3)], [T, T, T / 4n]);
+  const fc2 = H.compareHeaderChains([a, heavy]);
+  check('FC3: shorter branch with more work wins', fc2.bestIndex === 1);
+
+  const twin = fakeChain(anchor, [fh(1), fh(2), fh(0xd3), fh(0xd4)], T);
+  const fc3 = H.compareHeaderChains([a, twin]);
+  check('FC4: equal work is reported as a tie with no winner',
+    fc3.tie && fc3.bestIndex === null && fc3.margin === 0n);
+  check('FC5: identical chains are flagged identical',
+    H.compareHeaderChains([a, a]).identical === true);
+
+  throws('FC6: fewer than two chains is refused', () => H.compareHeaderChains([a]), 'at least two');
+  const other = fakeChain({ height: CP.height - 10, hash: fh(0xee) }, [fh(1)], T);
+  throws('FC6: chains from different anchors are refused', () => H.compareHeaderChains([a, other]), 'different anchor');
+
+  // chainInclusion fork context
+  const onBest = H.chainInclusion(a.hashIndex, fh(4), fc);
+  check('FC7: block on the most-work branch', onBest.verified && onBest.fork.onMostWork === true);
+  const onLoser = H.chainInclusion(b.hashIndex, fh(0xb3), fc);
+  check('FC7: block on the lighter branch is flagged', onLoser.fork.onMostWork === false && /LESS work/.test(onLoser.fork.reason));
+  const shared = H.chainInclusion(a.hashIndex, fh(2), fc);
+  check('FC7: block below the fork is common to every branch', shared.fork.belowFork && shared.fork.onMostWork === true);
+  check('FC7: past-fork block on tied branches is undecided',
+    H.chainInclusion(twin.hashIndex, fh(0xd4), fc3).fork.onMostWork === null);
+  check('FC7: fork context says whether the loaded chain is one of the compared branches',
+    H.chainInclusion(a, fh(4), fc).fork.loadedChainCompared === true && H.chainInclusion(heavy, fh(2), fc).fork.loadedChainCompared === false &&
+    H.chainInclusion(a.hashIndex, fh(4), fc).fork.loadedChainCompared === false);
+  check('FC8: no forkChoice -> no fork field (unchanged result shape)',
+    !('fork' in H.chainInclusion(a.hashIndex, fh(4))));
+  check('FC8: log2Work of 2^64 is 64', H.log2Work(1n << 64n) === 64);
+})();
+
+// ---- NET) network parameters -------------------------------------------------
+// The network is fixed when encoding.js loads, so other networks run in a child node.
+function underNetwork(name, body) {
+  const lib = JSON.stringify(__dirname + '/../lib/');
+  const code = "const L=" + lib + ";['crypto','encoding','secp256k1','headers'].forEach(f=>require(L+f+'.js'));" +
+    "const H=global;const out=(function(){" + body + "})();process.stdout.write(JSON.stringify(out));";
+  const r = spawnSync(process.execPath, ['-e', code], { env: Object.assign({}, process.env, { MERKLE_NETWORK: name }), encoding: 'utf8' });
+  return { status: r.status, out: r.status === 0 ? JSON.parse(r.stdout) : null, stderr: r.stderr };
+}
+
+// Mine a real headers.bin off cp with bitsAt(i) as each header's nBits. Only cheap
+// targets (~2^248 and up) are practical; regtest, or a caller-supplied checkpoint.
+// timeAt(i), when given, sets header i's timestamp (default: 600s apart from ts0).
+// Self-contained so its source can also be shipped to a child process.
+function mineChainFile(H, cp, n, bitsAt, ts0, timeAt) {
+  const hs = [];
+  let prev = cp.hash, ts = ts0 || 1700000000;
+  for (let i = 0; i < n; i++) {
+    const target = H.targetFromNBits(bitsAt(i));
+    ts = timeAt ? timeAt(i) : ts + 600;
+    for (let nonce = 0; ; nonce++) {
+      const hex = H.writeUInt32LE(0x20000000) + H.reverseHex(prev) + H.writeUInt32LE(cp.height + 1 + i) + '00'.repeat(28) +
+        H.writeUInt32LE(ts) + H.writeUInt32LE(bitsAt(i)) + H.writeUInt32LE(nonce);
+      const hash = H.hashHeader(hex);
+      if (BigInt('0x' + hash) <= target) { hs.push(hex); prev = hash; break; }
+    }
+  }
+  const out = new Uint8Array(40 + n * 80), dv = new DataView(out.buffer);
+  dv.setUint32(0, cp.height, true); out.set(H.hexToBytes(cp.hash), 4); dv.setUint32(36, n, true);
+  hs.forEach((h, i) => out.set(H.hexToBytes(h), 40 + i * 80));
+  return out;
+}
+// A headers delta is a headers.bin based on the tip, behind the "HDLT" magic.
+function toDelta(file) {
+  const out = new Uint8Array(4 + file.length);
+  out.set([0x48, 0x44, 0x4c, 0x54]); out.set(file, 4);
+  return out;
+}
+const MINE_REGTEST = mineChainFile.toString() + toDelta.toString() +
+  ';const chain = (n, bitsAt) => mineChainFile(H, H.CHECKPOINT, n, bitsAt);';
+
+(function () {
+  check('NET1: default network is mainnet and CHECKPOINT comes from it',
+    H.NETWORK.name === 'mainnet' && H.CHECKPOINT === H.NETWORK.checkpoint && H.CHECKPOINT.height === 939999);
+  check('NET1: network parameters are frozen', Object.isFrozen(H.NETWORK) && Object.isFrozen(H.NETWORK.checkpoint));
+
+  const reg = underNetwork('regtest', MINE_REGTEST + `
+    const n = H.DAA_CONTEXT + 3;
+    const ok = H.verifyHeaderChain(chain(n, () => 0x207fffff), H.CHECKPOINT, { difficultyMode: 'daa' });
+    let retarget = null;
+    try { H.verifyHeaderChain(chain(n, i => i === n - 1 ? 0x2000ffff : 0x207fffff), H.CHECKPOINT, { difficultyMode: 'daa' }); }
+    catch (e) { retarget = e.message; }
+    const mainWif = H.base58CheckEncode(0x80, '00'.repeat(31) + '0101');
+    const testWif = H.base58CheckEncode(0xef, '00'.repeat(31) + '0101');
+    let mainWifErr = null; try { H.SECP256K1.wifToPrivateKey(mainWif); } catch (e) { mainWifErr = e.message; }
+    return {
+      cp: H.CHECKPOINT, network: ok.network, tip: ok.tipHeight, daaFrom: ok.daaVerifiedFrom, retarget,
+      floor: H.checkpointFloorStatus(), testWif: H.SECP256K1.wifToPrivateKey(testWif).privateKey, mainWifErr
+    };
+  `);
+  const o = reg.out || {};
+  check('NET2: regtest selected via MERKLE_NETWORK (genesis checkpoint)', reg.status === 0 &&
+    o.cp.height === 0 && o.cp.hash === '0f9188f13cb7b2c71f2a335e3a4fc328bf5beb436012afca590b1a11466e2206');
+  check('NET2: mined regtest chain verifies in daa mode and reports its network',
+    o.network === 'regtest' && o.tip === H.DAA_CONTEXT + 3 && o.daaFrom === H.DAA_CONTEXT + 1);
+  check('NET3: regtest never retargets — a changed nBits is rejected', /DAA requires 0x207fffff/.test(o.retarget || ''));
+  check('NET4: regtest floor is reported toothless, naming the network',
+    o.floor && o.floor.sane === false && /regtest/.test(o.floor.reason));
+  check('NET5: regtest accepts 0xef WIF and refuses a mainnet WIF',
+    /01$/.test(o.testWif || '') && /expected 0xef for regtest/.test(o.mainWifErr || ''));
+
+  let mainErr = null;
+  try { H.SECP256K1.wifToPrivateKey(H.base58CheckEncode(0xef, '00'.repeat(31) + '0101')); }
+  catch (e) { mainErr = e.message; }
+  check('NET5: mainnet refuses a testnet WIF', /expected 0x80 for mainnet/.test(mainErr || ''));
+
+  // One banner helper for every tool page, exercised against a minimal document.
+  const FAKE_DOC = `const links = [{ h: 'verifier.html' }, { h: 'explorer.html' }].map(l => ({
+      getAttribute: () => l.h, setAttribute: (k, v) => { l.h = v; }, l }));
+    const doc = { body: { kids: [], firstChild: null, insertBefore(el) { this.kids.unshift(el); } },
+      createElement: () => ({ style: {} }), querySelectorAll: () => links };
+    const nb = H.showNetworkBanner(doc);
+    return { banner: nb && nb.textContent, top: doc.body.kids.length, links: links.map(a => a.l.h) };`;
+  const banner = underNetwork('testnet', FAKE_DOC).out || {};
+  check('NET7: showNetworkBanner marks a testnet page and keeps ?network= on tool links',
+    /^TESTNET — rehearsal network\. Checkpoint 0;/.test(banner.banner || '') && banner.top === 1 &&
+    (banner.links || []).join() === 'verifier.html?network=testnet,explorer.html?network=testnet');
+  const quiet = underNetwork('mainnet', FAKE_DOC).out || {};
+  check('NET7: on mainnet it adds no banner and leaves links alone',
+    quiet.banner === null && quiet.top === 0 && (quiet.links || []).join() === 'verifier.html,explorer.html');
+
+  const bad = underNetwork('signet', 'return 1;');
+  check('NET6: unknown network name fails at load, no mainnet fallback',
+    bad.status !== 0 && /Unknown network: signet/.test(bad.stderr));
+})();
+
+// ---- VER) isolated verifier instances ----------------------------------------
+(function () {
+  // A caller-supplied easy checkpoint makes real PoW cheap to mine in-process.
+  const easy = { height: 100, hash: fh(0xa0), nBits: 0x207fffff };
+  const a = H.createVerifier({ checkpoint: easy });
+  const b = H.createVerifier({ checkpoint: easy });
+  const globalBefore = H.getEffectiveFloor();
+  const file = mineChainFile(H, easy, 3, () => 0x2000ffff);
+  const res = a.loadChain(file);
+
+  check('VER1: instance verifies a chain against its own checkpoint', res.tipHeight === 103 && res.checkpointVerified);
+  check('VER1: loaded chain raises only that instance\'s floor',
+    a.getEffectiveFloor().source === 'chain tip 103' && b.getEffectiveFloor().source === 'checkpoint 100');
+  const after = H.getEffectiveFloor();
+  check('VER2: module-level floor untouched by instance loads',
+    after.target === globalBefore.target && after.source === globalBefore.source);
+  check('VER3: chainInclusion answers from the instance\'s chain only',
+    a.chainInclusion(res.tipHash).verified && b.chainInclusion(res.tipHash).status === 'unknown');
+  check('VER3: header difficulty is judged against the instance floor',
+    a.validateHeaderDifficulty(res.headers[0].raw).valid &&
+    !a.validateDifficultyFloor({ nBits: 0x207fffff, timestamp: 1700000000 }, 104).valid &&
+    b.validateDifficultyFloor({ nBits: 0x207fffff, timestamp: 1700000000 }, 104).valid);
+
+  const broken = file.slice(); broken[40 + 80 + 4] ^= 1; // second header's prevBlock
+  throws('VER4: a failed load is reported', () => a.loadChain(broken), 'Chain break');
+  check('VER4: ...and drops the previously loaded chain (fail closed)',
+    a.getChain() === null && a.chainInclusion(res.tipHash).status === 'unknown' &&
+    a.getEffectiveFloor().source === 'checkpoint 100');
+
+  const strict = H.createVerifier({ checkpoint: easy, headers: file, policy: { floorTolerance: 1 } });
+  check('VER5: headers option loads at creation; policy tolerance applies',
+    strict.getChain().tipHeight === 103 &&
+    strict.getEffectiveFloor().target === H.targetFromNBits(0x2000ffff));
+  throws('VER6: unknown policy keys are refused', () => H.createVerifier({ policy: { difficultyMod: 'daa' } }), 'unknown policy key');
+  throws('VER6: malformed checkpoint is refused', () => H.createVerifier({ checkpoint: { height: 1, hash: 'ab', nBits: 1 } }), 'checkpoint');
+  throws('VER6: wrong anchor still fails closed', () => H.createVerifier().loadChain(file), 'anchor does not match');
+  check('VER7: default instance uses the network checkpoint', H.createVerifier().checkpoint.hash === CP.hash);
+})();
+
+// ---- EXT) incremental extension -----------------------------------------------
+(function () {
+  const easy = { height: 100, hash: fh(0xa1), nBits: 0x207fffff };
+  const base = mineChainFile(H, easy, 4, () => 0x207fffff);
+  const v = H.createVerifier({ checkpoint: easy, headers: base });
+  const tip = v.getChain();
+  const more = mineChainFile(H, { height: tip.tipHeight, hash: tip.tipHash }, 3, () => 0x2000ffff, 1700010000);
+
+  const whole = new Uint8Array(base.length + 3 * 80);
+  whole.set(base); whole.set(more.slice(40), base.length);
+  new DataView(whole.buffer).setUint32(36, 7, true);
+  const full = H.createVerifier({ checkpoint: easy, headers: whole }).getChain();
+
+  const ext = v.extendChain(toDelta(more));
+  check('EXT1: extending by a delta equals verifying the whole file',
+    ext.tipHeight === full.tipHeight && ext.tipHash === full.tipHash && ext.cumulativeWork === full.cumulativeWork &&
+    ext.headers.length === 7 && ext.hashIndex.size === full.hashIndex.size);
+  check('EXT1: new headers are chain-included and raise the instance floor',
+    v.chainInclusion(full.tipHash).height === 107 && v.getEffectiveFloor().source === 'chain tip 107');
+
+  const bare = mineChainFile(H, { height: 107, hash: ext.tipHash }, 2, () => 0x207fffff, 1700020000);
+  check('EXT2: bare 80-byte headers extend the chain too', v.extendChain(bare.slice(40)).tipHeight === 109);
+
+  const stale = toDelta(more);
+  throws('EXT3: delta based on an old tip is refused', () => v.extendChain(stale), 'based on 104, chain tip is 109');
+  const broken = toDelta(mineChainFile(H, { height: 109, hash: ext.tipHash }, 3, () => 0x207fffff, 1700030000));
+  broken[44 + 80 + 4] ^= 1;
+  throws('EXT4: broken linkage inside the delta is refused', () => v.extendChain(broken), 'Chain break at 111');
+  check('EXT4: ...and the chain is left unchanged (no partial append)',
+    v.getChain().tipHeight === 109 && v.getChain().headers.length === 9 && v.getChain().hashIndex.size === 9);
+  throws('EXT5: truncated delta is refused', () => v.extendChain(toDelta(more).slice(0, 100)), 'length');
+  throws('EXT5: a full headers.bin is not a delta', () => v.extendChain(base), 'Not a headers delta');
+  throws('EXT5: nothing to extend before a chain is loaded',
+    () => H.createVerifier({ checkpoint: easy }).extendChain(toDelta(more)), 'No header chain loaded');
+
+  // Module-level extendHeaderChain holds new headers to the mainnet floor.
+  const anchorOnly = H.verifyHeaderChain(buildChainFile(CP.height, CP.hash, []), CP);
+  const cheap = mineChainFile(H, { height: CP.height, hash: CP.hash }, 1, () => 0x207fffff);
+  throws('EXT6: extendHeaderChain enforces the difficulty floor on new headers',
+    () => H.extendHeaderChain(anchorOnly, toDelta(cheap)), 'below difficulty floor');
+  check('EXT6: ...leaving the chain at its previous tip', anchorOnly.tipHeight === CP.height && anchorOnly.headers.length === 0);
+
+  // DAA mode across the DAA_CONTEXT boundary (regtest: no retargeting, real PoW).
+  const r = underNetwork('regtest', MINE_REGTEST + `
+    const n = H.DAA_CONTEXT + 13, split = 100;
+    const file = chain(n, () => 0x207fffff);
+    const head = file.slice(0, 40 + split * 80); new DataView(head.buffer).setUint32(36, split, true);
+    const tail = new Uint8Array(40 + (n - split) * 80);
+    tail.set(file.slice(40 + split * 80), 40); new DataView(tail.buffer).setUint32(36, n - split, true);
+    const a = H.verifyHeaderChain(head, H.CHECKPOINT, { difficultyMode: 'daa' });
+    new DataView(tail.buffer).setUint32(0, a.tipHeight, true); tail.set(H.hexToBytes(a.tipHash), 4);
+    const before = a.daaVerifiedFrom;
+    H.extendHeaderChain(a, toDelta(tail));
+    const b = H.verifyHeaderChain(file, H.CHECKPOINT, { difficultyMode: 'daa' });
+    return { before, from: a.daaVerifiedFrom, want: b.daaVerifiedFrom, tip: a.tipHash === b.tipHash };
+  `);
+  const o = r.out || {};
+  check('EXT7: DAA-mode extension matches a full DAA verification',
+    r.status === 0 && o.before === null && o.from === o.want && o.from === H.DAA_CONTEXT + 1 && o.tip);
+})();
+
+// ---- BK) backward segment ------------------------------------------------------
+(function () {
+  const headersOf = file => Array.from({ length: (file.length - 40) / 80 }, (_, i) => H.bytesToHex(file.slice(40 + i * 80, 120 + i * 80)));
+  const withBackward = (file, descHexes, magic) => {
+    const out = new Uint8Array(file.length + 8 + descHexes.length * 80);
+    out.set(file); out.set(magic || [0x42, 0x4b, 0x57, 0x44], file.length);
+    new DataView(out.buffer).setUint32(file.length + 4, descHexes.length, true);
+    descHexes.forEach((h, i) => out.set(H.hexToBytes(h), file.length + 8 + i * 80));
+    return out;
+  };
+
+  // History 96..99 is far easier than the checkpoint floor; block 100 is the checkpoint.
+  const history = headersOf(mineChainFile(H, { height: 95, hash: fh(0x95) }, 5, i => (i < 4 ? 0x207fffff : 0x2000ffff)));
+  const cp = { height: 100, hash: H.hashHeader(history[4]), nBits: 0x2000ffff };
+  const forward = mineChainFile(H, cp, 2, () => 0x2000ffff, 1700050000);
+  const desc = history.slice().reverse();
+  const v = H.createVerifier({ checkpoint: cp });
+  const r = v.loadChain(withBackward(forward, desc));
+
+  check('BK1: backward segment is indexed down to its lowest height',
+    r.backward.length === 5 && r.backwardFrom === 96 && r.hashIndex.get(H.hashHeader(history[0])) === 96);
+  check('BK1: a pre-checkpoint block is reported chain-included',
+    v.chainInclusion(H.hashHeader(history[1])).status === 'verified' && v.chainInclusion(cp.hash).height === 100);
+  check('BK2: forward tip and work are unaffected by the backward segment',
+    r.tipHeight === 102 && r.cumulativeWork === H.createVerifier({ checkpoint: cp, headers: forward }).getChain().cumulativeWork);
+  check('BK3: hash-committed history is exempt from the difficulty floor',
+    H.targetFromNBits(r.backward[4].nBits) > v.getEffectiveFloor().target);
+
+  const old = v.chainInclusion(H.hashHeader(history[1]));
+  check('BK2: a pre-checkpoint block is buried by the forward chain and the history above it',
+    old.confirmations === 6 && old.buriedWork === r.cumulativeWork +
+      [r.backward[0], r.backward[1], r.backward[2]].reduce((t, h) => t + H.workFromTarget(h.target), 0n));
+
+  const swapped = desc.slice(); swapped[2] = headersOf(mineChainFile(H, { height: 97, hash: fh(0x97) }, 1, () => 0x207fffff))[0];
+  throws('BK4: a substituted history header breaks the backward linkage',
+    () => v.loadChain(withBackward(forward, swapped)), 'Backward chain break at 98');
+  throws('BK4: the segment must start at the anchor block itself',
+    () => v.loadChain(withBackward(forward, desc.slice(1))), 'Backward chain break at 100');
+  throws('BK5: unknown trailing data is refused', () => v.loadChain(withBackward(forward, desc, [1, 2, 3, 4])), 'Unexpected data');
+  const short = withBackward(forward, desc).slice(0, -1);
+  throws('BK5: backward count must match the bytes', () => v.loadChain(short), 'length does not match');
+  const low = { height: 2, hash: H.hashHeader(history[4]), nBits: 0x2000ffff };
+  throws('BK5: a segment cannot run below genesis',
+    () => H.createVerifier({ checkpoint: low }).loadChain(withBackward(buildChainFile(2, low.hash, []), desc)), 'below the genesis');
+  throws('BK6: checkpoint header must carry the pinned nBits',
+    () => H.createVerifier({ checkpoint: Object.assign({}, cp, { nBits: 0x2000fffe }) }).loadChain(withBackward(forward, desc)),
+    'does not match the pinned checkpoint nBits');
+  check('BK7: files without a backward segment report none', H.createVerifier({ checkpoint: cp, headers: forward }).getChain().backwardFrom === null);
+})();
+
+// ---- CONF) confirmation depth --------------------------------------------------
+(function () {
+  const easy = { height: 100, hash: fh(0xc0), nBits: 0x207fffff };
+  const file = mineChainFile(H, easy, 6, () => 0x2000ffff, 1700100000);
+  const v = H.createVerifier({ checkpoint: easy, headers: file });
+  const chain = v.getChain();
+  const at = h => chain.headers[h - 101];
+  const w = H.workFromTarget(H.targetFromNBits(0x2000ffff));
+
+  const c = v.chainInclusion(at(103).hash);
+  check('CONF1: confirmations are tip height - block height + 1',
+    c.status === 'verified' && c.confirmations === 4 && c.tipHeight === 106 && v.chainInclusion(at(106).hash).confirmations === 1);
+  check('CONF2: buried work is the work of the headers above the block', c.buriedWork === 3n * w &&
+    v.chainInclusion(at(106).hash).buriedWork === 0n && v.chainInclusion(at(101).hash).buriedWork === chain.cumulativeWork - w);
+  check('CONF3: tip timestamp comes from the loaded tip', c.tipTimestamp === 1700100000 + 6 * 600);
+  check('CONF4: a bare hashIndex still works but reports no depth',
+    H.chainInclusion(chain.hashIndex, at(103).hash).status === 'verified' &&
+    H.chainInclusion(chain.hashIndex, at(103).hash).confirmations === undefined);
+
+  const shallow = v.chainInclusion(at(104).hash, null, { minConfirmations: 6 });
+  check('CONF5: below minConfirmations fails closed as insufficient_depth',
+    shallow.status === 'insufficient_depth' && shallow.verified === false && shallow.height === 104 &&
+    /3 confirmations; policy requires 6/.test(shallow.reason));
+  check('CONF5: at the threshold the block is verified',
+    v.chainInclusion(at(101).hash, null, { minConfirmations: 6 }).status === 'verified');
+  const strict = H.createVerifier({ checkpoint: easy, headers: file, policy: { minConfirmations: 3, minBuriedWork: 3n * w } });
+  check('CONF6: instance policy thresholds apply to every chainInclusion call',
+    strict.chainInclusion(at(105).hash).status === 'insufficient_depth' && strict.chainInclusion(at(103).hash).verified);
+  check('CONF6: minBuriedWork is enforced independently of confirmations',
+    /work is buried on it/.test(H.createVerifier({ checkpoint: easy, headers: file, policy: { minBuriedWork: 4n * w } })
+      .chainInclusion(at(103).hash).reason));
+  check('CONF7: a depth minimum with only a hashIndex cannot be met',
+    H.chainInclusion(chain.hashIndex, at(101).hash, null, { minConfirmations: 2 }).status === 'insufficient_depth');
+  check('CONF7: unknown and not-in-chain results are unchanged by a policy',
+    H.chainInclusion(null, at(101).hash, null, { minConfirmations: 6 }).status === 'unknown' &&
+    v.chainInclusion(fh(0xee), null, { minConfirmations: 6 }).status === 'not_in_chain');
+  throws('CONF8: minConfirmations must be a positive integer',
+    () => H.createVerifier({ policy: { minConfirmations: 0 } }), 'minConfirmations');
+  throws('CONF8: minBuriedWork must be a BigInt', () => v.chainInclusion(easy.hash, null, { minBuriedWork: 5 }), 'minBuriedWork');
+  throws('CONF8: unknown depth policy keys are refused', () => v.chainInclusion(easy.hash, null, { minConf: 6 }), 'unknown depth policy key');
+
+  // A page's Minimum confirmations field, read once per change.
+  const field = { value: '6', listeners: [], addEventListener(type, fn) { if (type === 'change') this.listeners.push(fn); } };
+  const status = { textContent: '', style: {} };
+  const minConfirmations = H.watchMinConfirmations(field, status);
+  const edit = (value) => { field.value = value; field.listeners.forEach(fn => fn()); };
+  check('CONF9: the field is read at start', minConfirmations() === 6 && status.textContent === '');
+  edit('  ');
+  check('CONF9: a blank field means the default of 1', minConfirmations() === 1 && /default of 1/.test(status.textContent));
+  edit('1.5');
+  check('CONF9: a fraction is shown as invalid', /"1\.5" is not a whole number/.test(status.textContent) && status.style.color === 'var(--danger)');
+  throws('CONF9: an invalid field fails a depth policy read until fixed', () => minConfirmations(), 'not a whole number');
+  edit('0');
+  throws('CONF9: zero is invalid', () => minConfirmations(), '"0" is not a whole number of 1 or more');
+  edit('3');
+  check('CONF9: a fixed field applies again', minConfirmations() === 3 && status.textContent === '' && status.style.color === '');
+})();
+
+// ---- MTP) median time past ------------------------------------------------------
+(function () {
+  const run = ts => ts.map((t, i) => ({ height: 200 + i, timestamp: t }));
+  const rising = Array.from({ length: 14 }, (_, i) => 1000 + i * 600);
+  const r = H.enforceMedianTimePast(run(rising));
+  check('MTP1: headers with a full window are checked from index MTP_WINDOW', r.checked === 3 && r.fromHeight === 211);
+  const atMedian = rising.slice(); atMedian[11] = 1000 + 5 * 600; // median of the 11 before it
+  throws('MTP1: a timestamp equal to the median time past is refused', () => H.enforceMedianTimePast(run(atMedian)), 'median time past');
+  const wobble = rising.slice(); wobble[11] = 1000 + 5 * 600 + 1; // earlier than its parent, still after the median
+  check('MTP1: a timestamp before its parent but after the median is accepted', H.enforceMedianTimePast(run(wobble)).checked === 3);
+  const early = rising.slice(); early[3] = 0;
+  check('MTP1: headers without a full window are not judged', H.enforceMedianTimePast(run(early).slice(0, 11)).checked === 0);
+
+  const easy = { height: 300, hash: fh(0xd0), nBits: 0x207fffff };
+  const T0 = 1700200000;
+  const good = i => T0 + (i + 1) * 600;
+  const file = mineChainFile(H, easy, 14, () => 0x207fffff, T0, good);
+  const v = H.createVerifier({ checkpoint: easy });
+  const chain = v.loadChain(file);
+  check('MTP2: verifyHeaderChain enforces MTP from the first header with a full window',
+    chain.mtpVerifiedFrom === 312);
+  const bad = mineChainFile(H, easy, 14, () => 0x207fffff, T0, i => (i === 12 ? good(6) : good(i)));
+  throws('MTP2: a chain with a header at or before its median time past is refused', () => v.loadChain(bad), 'Header at 313 .*median time past');
+  check('MTP3: medianTimePast(height) is the median of that block and the ten before it',
+    H.medianTimePast(chain, 311) === good(5) && H.createVerifier({ checkpoint: easy, headers: file }).medianTimePast(314) === good(8));
+  check('MTP3: medianTimePast is null until the window is loaded', H.medianTimePast(chain, 310) === null && v.medianTimePast(311) === null);
+
+  const v2 = H.createVerifier({ checkpoint: easy, headers: file });
+  const tip = chain.headers[chain.headers.length - 1];
+  const ext = mineChainFile(H, { height: 314, hash: tip.hash }, 1, () => 0x207fffff, 0, () => good(8));
+  throws('MTP4: an extension must also be after the median time past', () => v2.extendChain(toDelta(ext)), 'median time past');
+  check('MTP4: a refused extension leaves the chain unchanged', v2.getChain().tipHeight === 314);
+
+  throws('MTP5: a header beyond the allowed drift of the supplied clock is refused',
+    () => H.createVerifier({ checkpoint: easy }).loadChain(file, { now: good(13) - 7201 }), 'ahead of the supplied clock');
+  check('MTP5: within the drift, and with no clock, the chain loads',
+    H.createVerifier({ checkpoint: easy }).loadChain(file, { now: good(13) - 7200 }).tipHeight === 314);
+  const ok = mineChainFile(H, { height: 314, hash: tip.hash }, 1, () => 0x207fffff, 0, () => good(14));
+  throws('MTP5: extensions are held to the supplied clock too',
+    () => H.createVerifier({ checkpoint: easy, headers: file }).extendChain(toDelta(ok), { now: good(14) - 9000 }), 'ahead of the supplied clock');
+  // A backward segment supplies the past of the first forward headers.
+  const hist = mineChainFile(H, { height: 389, hash: fh(0x389) }, 11, () => 0x207fffff, T0);
+  const histHex = Array.from({ length: 11 }, (_, i) => H.bytesToHex(hist.slice(40 + i * 80, 120 + i * 80)));
+  const cp = { height: 400, hash: H.hashHeader(histHex[10]), nBits: 0x207fffff };
+  const withHistory = fwd => {
+    const out = new Uint8Array(fwd.length + 8 + 11 * 80);
+    out.set(fwd); out.set([0x42, 0x4b, 0x57, 0x44], fwd.length);
+    new DataView(out.buffer).setUint32(fwd.length + 4, 11, true);
+    histHex.slice().reverse().forEach((h, i) => out.set(H.hexToBytes(h), fwd.length + 8 + i * 80));
+    return out;
+  };
+  const hv = H.createVerifier({ checkpoint: cp });
+  check('MTP6: with 11 history headers MTP is enforced from the first forward header',
+    hv.loadChain(withHistory(mineChainFile(H, cp, 2, () => 0x207fffff, T0 + 11 * 600))).mtpVerifiedFrom === 401 &&
+    hv.medianTimePast(400) === T0 + 6 * 600);
+  throws('MTP6: a first forward header at the history\'s median time past is refused',
+    () => hv.loadChain(withHistory(mineChainFile(H, cp, 1, () => 0x207fffff, 0, () => T0 + 6 * 600))), 'Header at 401');
+  // DAA mode: past the floor-gated start only the clock bounds the difficulty, so it always runs.
+  const future = Math.floor(Date.now() / 1000) + 3 * 86400;
+  const ahead = mineChainFile(H, easy, 3, () => 0x207fffff, 0, i => future + i * 600);
+  const daa = { checkpoint: easy, policy: { difficultyMode: 'daa' } };
+  throws('MTP7: in DAA mode a future-dated header is refused against the system clock when none is passed',
+    () => H.createVerifier(daa).loadChain(ahead), 'ahead of the supplied clock');
+  check('MTP7: floor mode leaves the drift check to a supplied clock', H.createVerifier({ checkpoint: easy }).loadChain(ahead).tipHeight === 303);
+  check('MTP7: an explicit clock still decides in DAA mode', H.createVerifier(daa).loadChain(ahead, { now: future }).tipHeight === 303);
+  const aheadExt = mineChainFile(H, { height: 314, hash: tip.hash }, 1, () => 0x207fffff, 0, () => future);
+  throws('MTP7: DAA-mode extensions are held to the system clock too',
+    () => H.createVerifier(Object.assign({ headers: file }, daa)).extendChain(toDelta(aheadExt)), 'ahead of the supplied clock');
+  throws('MTP5: the clock must be whole seconds', () => H.createVerifier({ checkpoint: easy }).loadChain(file, { now: Date.now() / 1000 }), 'whole seconds');
+})();
+
+// ---- IDX) random access by height and Merkle root --------------------------------
+(function () {
+  const history = mineChainFile(H, { height: 495, hash: fh(0x495) }, 5, () => 0x207fffff, 1700300000);
+  const histHex = Array.from({ length: 5 }, (_, i) => H.bytesToHex(history.slice(40 + i * 80, 120 + i * 80)));
+  const cp = { height: 500, hash: H.hashHeader(histHex[4]), nBits: 0x207fffff };
+  const fwd = mineChainFile(H, cp, 4, () => 0x207fffff, 1700303000);
+  const file = new Uint8Array(fwd.length + 8 + 5 * 80);
+  file.set(fwd); file.set([0x42, 0x4b, 0x57, 0x44], fwd.length);
+  new DataView(file.buffer).setUint32(fwd.length + 4, 5, true);
+  histHex.slice().reverse().forEach((h, i) => file.set(H.hexToBytes(h), fwd.length + 8 + i * 80));
+  const v = H.createVerifier({ checkpoint: cp, headers: file });
+  const chain = v.getChain();
+  const rootOf = hex => H.parseHeader(hex).merkleRoot;
+
+  const h502 = v.getHeaderByHeight(502);
+  check('IDX1: getHeaderByHeight reads a forward header at its arithmetic offset',
+    h502.height === 502 && h502.raw === H.bytesToHex(fwd.slice(40 + 80, 120 + 80)) && h502.merkleRoot === rootOf(h502.raw));
+  check('IDX1: and a backward-segment header, including the checkpoint block',
+    v.getHeaderByHeight(498).raw === histHex[2] && v.getHeaderByHeight(500).hash === cp.hash);
+  check('IDX1: heights outside the loaded range are null',
+    v.getHeaderByHeight(495) === null && v.getHeaderByHeight(505) === null && v.getHeaderByHeight(-1) === null);
+  h502.height = 1;
+  check('IDX1: the returned header is a copy', chain.headers[1].height === 502);
+
+  check('IDX2: findHeightByMerkleRoot resolves forward and backward roots',
+    v.findHeightByMerkleRoot(rootOf(histHex[0])) === 496 && H.findHeightByMerkleRoot(chain, chain.headers[3].merkleRoot.toUpperCase()) === 504);
+  check('IDX2: an unknown root is null', v.findHeightByMerkleRoot(fh(0x1234)) === null);
+
+  const ext = mineChainFile(H, { height: 504, hash: chain.tipHash }, 2, () => 0x207fffff, 1700303000 + 4 * 600);
+  v.extendChain(toDelta(ext));
+  check('IDX3: an extension is indexed by height and root',
+    v.getHeaderByHeight(506).raw === H.bytesToHex(ext.slice(120, 200)) && v.findHeightByMerkleRoot(v.getHeaderByHeight(505).merkleRoot) === 505);
+
+  check('IDX4: isValidRoot accepts only the root at that height', v.isValidRoot(v.getHeaderByHeight(503).merkleRoot, 503) &&
+    !v.isValidRoot(v.getHeaderByHeight(503).merkleRoot, 502) && !H.createVerifier().isValidRoot(fh(1), 503));
+  const { isValidRoot } = v;
+  check('IDX4: isValidRoot works detached, as a BEEF.verifyMined callback', isValidRoot(v.getHeaderByHeight(498).merkleRoot, 498));
+
+  // Lookups answer only from a chain verified in memory or an index opened against a pinned file.
+  const refused = fn => { try { fn(); return false; } catch (e) { return /needs a verifyHeaderChain result/.test(e.message); } };
+  check('IDX5: raw headers.bin bytes or a bare index are not a chain',
+    refused(() => H.getHeaderByHeight(file, 502)) && refused(() => H.getHeaderByHeight({ headers: [] }, 502)) &&
+    refused(() => H.findHeightByMerkleRoot({ rootIndex: {} }, rootOf(h502.raw))));
+
+  // Companion index file: built from the verified chain, opened against the pinned headers.bin.
+  const fresh = H.createVerifier({ checkpoint: cp }).loadChain(file);
+  const built = H.buildHeaderIndex(fresh, file);
+  const opened = H.openHeaderIndex(built.bytes, file, built.headersSha256, cp);
+  check('IDX6: the index pins its headers.bin and lays out one 36-byte entry per header',
+    built.headersSha256 === H.bytesToHex(H.SHA256.hash(file)) && built.bytes.length === 60 + 9 * 36 &&
+    opened.tipHeight === 504 && opened.backwardFrom === 496 && opened.anchor.height === 500);
+  check('IDX6: an opened index reads forward and backward headers like the verified chain',
+    [496, 498, 500, 501, 504].every(h => isDeepStrictEqual(H.getHeaderByHeight(opened, h), H.getHeaderByHeight(fresh, h))) &&
+    H.getHeaderByHeight(opened, 495) === null && H.getHeaderByHeight(opened, 505) === null && H.getHeaderByHeight(opened, 1.5) === null);
+  check('IDX6: and resolves every root, and nothing else',
+    fresh.headers.concat(fresh.backward).every(h => H.findHeightByMerkleRoot(opened, h.merkleRoot.toUpperCase()) === h.height) &&
+    H.findHeightByMerkleRoot(opened, fh(0x1234)) === null && H.findHeightByMerkleRoot(opened, 'zz') === null);
+  check('IDX6: a copy of an opened index is not one', refused(() => H.getHeaderByHeight(Object.assign({}, opened), 502)));
+
+  throws('IDX7: opening needs the pin', () => H.openHeaderIndex(built.bytes, file, undefined, cp), 'pinned SHA-256');
+  const edited = file.slice(); edited[40 + 80 + 76] ^= 1;
+  throws('IDX7: a headers.bin that is not the pinned one is refused',
+    () => H.openHeaderIndex(built.bytes, edited, built.headersSha256, cp), 'does not match the pinned');
+  throws('IDX7: a headers.bin pinned but anchored at no trusted checkpoint is refused',
+    () => H.openHeaderIndex(built.bytes, file, built.headersSha256, { height: 100, hash: fh(0xc0), nBits: 0x207fffff }), 'anchor does not match');
+  const other = H.buildHeaderIndex(H.createVerifier({ checkpoint: cp }).loadChain(fwd), fwd);
+  throws('IDX7: an index built for another headers.bin is refused',
+    () => H.openHeaderIndex(other.bytes, file, built.headersSha256, cp), 'different headers.bin');
+  const reRoot = (bytes, n, height) => {
+    const out = bytes.slice(), view = new DataView(out.buffer);
+    if (height !== undefined) view.setUint32(60 + n * 36 + 32, height, true); else out[60 + n * 36] ^= 1;
+    return out;
+  };
+  const heightOf = n => new DataView(built.bytes.buffer).getUint32(60 + n * 36 + 32, true);
+  throws('IDX7: an entry whose root is not its header\'s is refused',
+    () => H.openHeaderIndex(reRoot(built.bytes, 3), file, built.headersSha256, cp), 'does not match its header');
+  const twice = built.bytes.slice(); twice.set(built.bytes.slice(60 + 3 * 36, 60 + 4 * 36), 60 + 4 * 36);
+  throws('IDX7: an entry repeated in place of another is refused', () => H.openHeaderIndex(twice, file, built.headersSha256, cp), 'twice');
+  throws('IDX7: an entry pointing at another height is refused',
+    () => H.openHeaderIndex(reRoot(built.bytes, 3, heightOf(4)), file, built.headersSha256, cp), 'does not match its header');
+  throws('IDX7: an entry outside the file is refused',
+    () => H.openHeaderIndex(reRoot(built.bytes, 3, 505), file, built.headersSha256, cp), 'does not hold');
+  const swapped = built.bytes.slice();
+  swapped.set(built.bytes.slice(60, 96), 96); swapped.set(built.bytes.slice(96, 132), 60);
+  throws('IDX7: entries out of root order are refused', () => H.openHeaderIndex(swapped, file, built.headersSha256, cp), 'not sorted');
+  throws('IDX7: a truncated index is refused',
+    () => H.openHeaderIndex(built.bytes.slice(0, built.bytes.length - 36), file, built.headersSha256, cp), 'length does not match');
+  throws('IDX7: an extended chain is not the file it was verified from', () => H.buildHeaderIndex(chain, file), 'not the file');
+  const changed = file.slice();
+  const held = H.openHeaderIndex(built.bytes, changed, built.headersSha256, cp);
+  changed.fill(0, 40);
+  check('IDX7: bytes changed after opening do not change a lookup', H.getHeaderByHeight(held, 502).raw === H.getHeaderByHeight(fresh, 502).raw);
+})();
+
+// ---- CP) hash-pinned checkpoint manifests -----------------------------------------
+// Mainnet entries need real difficulties, so anchor-only files here; mined chains on regtest.
+const CP2 = { height: 950000, hash: fh(0x950000), nBits: 0x18300000 };
+function manifestBytes(doc) {
+  return new TextEncoder().encode(JSON.stringify(Object.assign({ format: H.CHECKPOINT_MANIFEST_FORMAT, version: 1, network: 'mainnet' }, doc)));
+}
+const pinOf = bytes => H.bytesToHex(H.SHA256.hash(bytes));
+
+(function () {
+  const bytes = manifestBytes({ checkpoints: [CP2, CP] });
+  const m = H.loadCheckpointManifest(bytes, pinOf(bytes).toUpperCase());
+  check('CP1: a pinned manifest loads, frozen and ascending by height',
+    Object.isFrozen(m) && Object.isFrozen(m.checkpoints[0]) && m.sha256 === pinOf(bytes) &&
+    m.checkpoints.map(c => c.height).join() === '939999,950000');
+  check('CP1: its text loads the same', isDeepStrictEqual(H.loadCheckpointManifest(new TextDecoder().decode(bytes), pinOf(bytes)), m));
+  throws('CP2: a manifest that does not hash to the pin is refused', () => H.loadCheckpointManifest(bytes, fh(1)), 'does not match the pinned');
+  throws('CP2: a manifest without a pin is refused', () => H.loadCheckpointManifest(bytes), 'pinned SHA-256');
+  const load = doc => { const b = manifestBytes(doc); return H.loadCheckpointManifest(b, pinOf(b)); };
+  throws('CP3: another network\'s manifest is refused', () => load({ network: 'testnet', checkpoints: [CP] }), 'for testnet');
+  throws('CP3: an unknown format is refused', () => load({ format: 'x', checkpoints: [CP] }), 'version 1 checkpoint manifest');
+  throws('CP3: a checkpoint whose floor is looser than difficulty-1 is refused',
+    () => load({ checkpoints: [CP, { height: 960000, hash: fh(2), nBits: 0x1d00ffff }] }), 'looser than difficulty-1');
+  throws('CP3: two checkpoints at one height are refused', () => load({ checkpoints: [CP, Object.assign({}, CP, { hash: fh(3) })] }), 'two entries');
+  throws('CP3: an empty list is refused', () => load({ checkpoints: [] }), 'non-empty');
+
+  const atCP2 = H.verifyHeaderChain(buildChainFile(CP2.height, CP2.hash, []), m);
+  check('CP4: a chain anchors at whichever listed checkpoint it starts from',
+    atCP2.checkpointVerified && atCP2.checkpoint.height === 950000 &&
+    H.verifyHeaderChain(buildChainFile(CP.height, CP.hash, []), m.checkpoints).checkpoint.height === CP.height);
+  check('CP4: and is held to that checkpoint\'s floor', atCP2.floorTarget === H.targetFromNBits(CP2.nBits) * 8n);
+  throws('CP4: an anchor that is not listed is refused', () => H.verifyHeaderChain(buildChainFile(CP2.height, fh(4), []), m),
+    'matches none of the 2 trusted checkpoints');
+
+  const v = H.createVerifier({ checkpoints: m });
+  check('CP5: the newest listed checkpoint sets the floor before a chain is loaded',
+    v.checkpoint.height === 950000 && v.checkpoints.length === 2 && v.getEffectiveFloor().source === 'checkpoint 950000');
+  v.loadChain(buildChainFile(CP.height, CP.hash, []));
+  check('CP5: a chain anchored at an older checkpoint brings that checkpoint\'s floor',
+    v.getEffectiveFloor().source === 'checkpoint 939999' && v.getEffectiveFloor().target === H.STATIC_FLOOR_TARGET);
+  throws('CP5: checkpoint and checkpoints together are refused', () => H.createVerifier({ checkpoint: CP, checkpoints: m }), 'not both');
+  throws('CP5: a checkpoint list is validated like a manifest',
+    () => H.createVerifier({ checkpoints: [{ height: 1, hash: fh(5), nBits: 0x207fffff }] }), 'looser than difficulty-1');
+
+  const reg = underNetwork('regtest', MINE_REGTEST + `
+    const base = chain(12, () => 0x207fffff);
+    const tip = H.verifyHeaderChain(base, H.CHECKPOINT);
+    const cp8 = { height: 8, hash: tip.headers[7].hash, nBits: 0x207fffff };
+    const doc = JSON.stringify({ format: H.CHECKPOINT_MANIFEST_FORMAT, version: 1, network: 'regtest', checkpoints: [H.CHECKPOINT, cp8] });
+    const m = H.loadCheckpointManifest(doc, H.bytesToHex(H.SHA256.hash(new TextEncoder().encode(doc))));
+    const v = H.createVerifier({ checkpoints: m });
+    const fromCp8 = v.loadChain(mineChainFile(H, cp8, 6, () => 0x207fffff, 1700000000 + 8 * 600));
+    const ext = v.extendChain(toDelta(mineChainFile(H, { height: fromCp8.tipHeight, hash: fromCp8.tipHash }, 2, () => 0x207fffff, 1700000000 + 14 * 600)));
+    const fromGenesis = H.createVerifier({ checkpoints: m }).loadChain(base);
+    return { anchor: fromCp8.checkpoint.height, tip: ext.tipHeight, genesis: fromGenesis.checkpoint.height, genesisTip: fromGenesis.tipHeight };
+  `);
+  const o = reg.out || {};
+  check('CP6: regtest — a mined chain anchors at a later manifest checkpoint and extends',
+    reg.status === 0 && o.anchor === 8 && o.tip === 16 && o.genesis === 0 && o.genesisTip === 12);
+})();
+
+// ---- DIFF) refreshed-chain diff and reorg report -----------------------------------
+(function () {
+  const cp = { height: 700, hash: fh(0x700), nBits: 0x207fffff };
+  const base = mineChainFile(H, cp, 10, () => 0x207fffff, 1700500000);
+  const hex = Array.from({ length: 10 }, (_, i) => H.bytesToHex(base.slice(40 + i * 80, 120 + i * 80)));
+  const load = (file, anchor) => H.createVerifier({ checkpoint: anchor || cp }).loadChain(file);
+  const full = load(base);
+  const hashAt = h => full.headers[h - 701].hash;
+
+  const grown = H.diffHeaderChains(load(buildChainFile(700, cp.hash, hex.slice(0, 6))), full);
+  check('DIFF1: a refreshed file that extends the previous one is reported as such',
+    grown.extends && grown.reorgDepth === 0 && grown.commonAncestor.height === 706 && grown.added.length === 4 &&
+    grown.newTip.height === 710 && /extends the previous chain by 4/.test(grown.reason));
+
+  const fork = mineChainFile(H, { height: 704, hash: hashAt(704) }, 5, () => 0x207fffff, 1700500000 + 4 * 600 + 7);
+  const reorged = load(buildChainFile(700, cp.hash, hex.slice(0, 4).concat(
+    Array.from({ length: 5 }, (_, i) => H.bytesToHex(fork.slice(40 + i * 80, 120 + i * 80))))));
+  const d = H.diffHeaderChains(full, reorged, [hashAt(703), hashAt(707).toUpperCase(), reorged.headers[5].hash, fh(9)]);
+  check('DIFF2: a reorg names the common ancestor, what disappeared and what replaced it',
+    !d.extends && d.commonAncestor.height === 704 && d.commonAncestor.hash === hashAt(704) &&
+    d.disappeared.map(b => b.height).join() === '705,706,707,708,709,710' && d.added.length === 5 && d.reorgDepth === 6);
+  check('DIFF2: a replacement with less work than it displaced is flagged',
+    d.addedWork < d.disappearedWork && /REORG: 6 blocks above 704 .*NO MORE work/.test(d.reason));
+  check('DIFF2: each relied-on block is classified',
+    d.blocks.map(b => b.status).join() === 'still_in_chain,reorged_out,newly_included,unknown' &&
+    d.blocks[1].previousHeight === 707 && d.blocks[1].currentHeight === null);
+  check('DIFF2: lost lists only the reorged-out blocks', d.lost.length === 1 && d.lost[0] === hashAt(707));
+
+  const older = H.diffHeaderChains(full, load(buildChainFile(700, cp.hash, hex.slice(0, 4))));
+  check('DIFF3: an older, shorter file is not mistaken for an extension',
+    !older.extends && older.added.length === 0 && older.reorgDepth === 6 && /no longer covered/.test(older.reason));
+
+  const cp2 = { height: 705, hash: hashAt(705), nBits: 0x207fffff };
+  const v = H.createVerifier({ checkpoint: cp2 });
+  v.loadChain(buildChainFile(705, cp2.hash, hex.slice(5)));
+  const moved = v.diffChain(full, [hashAt(702), hashAt(708)]);
+  check('DIFF4: chains from different anchors diff over their overlap',
+    moved.extends && moved.commonAncestor.height === 710 && moved.blocks.map(b => b.status).join() === 'not_covered,still_in_chain');
+  throws('DIFF5: chains from different networks are refused',
+    () => H.diffHeaderChains(full, Object.assign({}, full, { network: 'regtest' })), 'cannot compare a mainnet chain with a regtest chain');
+  throws('DIFF5: chains sharing no block are refused',
+    () => H.diffHeaderChains(full, load(mineChainFile(H, { height: 700, hash: fh(0x701) }, 2, () => 0x207fffff), { height: 700, hash: fh(0x701), nBits: 0x207fffff })),
+    'share no block');
+  throws('DIFF5: diffChain needs a loaded chain', () => H.createVerifier().diffChain(full), 'No header chain loaded');
+})();
+
+// ---- ANA) anomaly analysis ---------------------------------------------------------
+// Analysis reads verified records and never re-checks PoW, so hand-built records do.
+(function () {
+  const N = 0x1b00ffff;
+  const rec = (height, version, timestamp, nBits) => ({
+    height, hash: fh(height), nBits, timestamp, target: H.targetFromNBits(nBits),
+    raw: H.writeUInt32LE(version) + '00'.repeat(64) + H.writeUInt32LE(timestamp) + H.writeUInt32LE(nBits) + H.writeUInt32LE(0)
+  });
+  const T = 1700600000, V = 0x20000000;
+  const headers = [
+    rec(400001, V, T, N), rec(400002, V, T + 600, N),
+    rec(400003, 2, T + 1200, N),                    // legacy version after BIP65
+    rec(400004, 4, T + 1800, N),                    // no BIP9 top bits
+    rec(400005, V, T + 1790, N),                    // 10s back
+    rec(400006, V, T + 1790 + 3 * 3600, N),         // 3h gap
+    rec(400007, V, T + 1790 + 3 * 3600 + 600, 0x1c7fffff),  // 2^15 easier, near the floor
+    rec(400008, V, T + 1790 + 3 * 3600 + 1200, N),  // back up
+    rec(400009, V, T + 1790 + 3600, N)              // 2h back
+  ];
+  const chain = { anchor: { height: 400000, hash: fh(400000) }, headers, backward: [rec(400000, V, T - 600, N)],
+    floorTarget: H.targetFromNBits(0x1d00ffff) };
+  const a = H.analyzeHeaderChain(chain);
+  check('ANA1: every anomaly kind is found, in height order',
+    a.findings.map(f => f.height + ':' + f.kind).join() === '400003:version_legacy,400004:version_unusual,' +
+    '400005:timestamp_not_increasing,400006:long_gap,400007:near_floor,400007:nbits_jump,400008:nbits_jump,400009:timestamp_not_increasing');
+  check('ANA1: severities separate warnings from notices',
+    a.findings.map(f => f.severity[0]).join('') === 'wnnnwwnw' && a.warnings === 4 && a.counts.nbits_jump === 2);
+  check('ANA1: the backward segment is scanned too', a.fromHeight === 400000 && a.toHeight === 400009 && a.headersScanned === 10);
+  check('ANA2: findings explain themselves',
+    /fell 32768\.\d+x from block 400006/.test(a.findings[5].detail) && /10s earlier than block 400004/.test(a.findings[2].detail) &&
+    /3\.0h after block 400005/.test(a.findings[3].detail));
+  const strict = H.analyzeHeaderChain(chain, { maxGapSeconds: 10800, maxFindings: 2 });
+  check('ANA3: thresholds are options; maxFindings truncates the list but not the counts',
+    !strict.counts.long_gap && strict.findings.length === 2 && strict.truncated && strict.warnings === 4);
+  throws('ANA3: an unknown option is refused', () => H.analyzeHeaderChain(chain, { maxGap: 1 }), 'unknown option maxGap');
+  throws('ANA3: a non-integer threshold is refused', () => H.analyzeHeaderChain(chain, { maxTargetRatio: 1.5 }), 'positive integer');
+  check('ANA4: a legacy version before the BIP65 height is not flagged',
+    H.analyzeHeaderChain({ anchor: { height: 1, hash: fh(1) }, headers: [rec(2, 1, T, N)], floorTarget: chain.floorTarget }).findings.length === 0);
+  const easy = H.analyzeHeaderChain({ anchor: { height: 500, hash: fh(500) }, headers: [rec(501, V, T + 600, 0x1c7fffff)],
+    backward: [rec(500, V, T, 0x1c7fffff), rec(499, V, T - 600, 0x1c7fffff)], floorTarget: chain.floorTarget });
+  check('ANA5: near_floor skips the backward segment, which the floor does not cover',
+    easy.headersScanned === 3 && easy.findings.map(f => f.height + ':' + f.kind).join() === '501:near_floor' && easy.warnings === 1);
+
+  const cp = { height: 800, hash: fh(0x800), nBits: 0x207fffff };
+  const v = H.createVerifier({ checkpoint: cp });
+  v.loadChain(mineChainFile(H, cp, 12, () => 0x207fffff, 1700700000));
+  const clean = v.analyzeChain();
+  check('ANA5: a steady mined chain has no findings', clean.findings.length === 0 && !clean.truncated && clean.headersScanned === 12);
+  throws('ANA5: analyzeChain needs a loaded chain', () => H.createVerifier().analyzeChain(), 'No header chain loaded');
+})();
+
+// ---- FORGE) forgery cost -------------------------------------------------------------
+(function () {
+  const cp = { height: 900, hash: fh(0x900), nBits: 0x207fffff };
+  const v = H.createVerifier({ checkpoint: cp });
+  const alone = v.forgeryCost(null);
+  check('FORGE1: without a chain one header at the floor forges the evidence',
+    alone.isolation === H.workFromTarget(v.getEffectiveFloor().target) && alone.withChain === null && /no header chain loaded/.test(alone.reason));
+  v.loadChain(mineChainFile(H, cp, 10, () => 0x207fffff, 1700800000));
+  const w = H.workFromTarget(H.targetFromNBits(0x207fffff));
+  const c = v.forgeryCost(904);
+  check('FORGE2: against the chain the block and everything above it must be redone',
+    c.blockWork === w && c.buriedWork === 6n * w && c.withChain === 7n * w && c.headers === 7 &&
+    /redoing block 904 and the 6 headers above it/.test(c.reason));
+  check('FORGE2: the buried work matches chainInclusion', c.buriedWork === v.chainInclusion(v.getHeaderByHeight(904).hash).buriedWork);
+  const tip = v.forgeryCost(910);
+  check('FORGE2: the tip costs one block', tip.withChain === w && tip.headers === 1 && /\(the tip\)/.test(tip.reason));
+  const out = v.forgeryCost(null);
+  check('FORGE3: a block outside the chain has only the isolation cost',
+    out.withChain === null && out.isolation === H.workFromTarget(v.getEffectiveFloor().target) && /not in the loaded chain/.test(out.reason));
+  check('FORGE3: a height the chain does not hold counts as outside it', v.forgeryCost(950).withChain === null);
+  throws('FORGE4: the floor target must be a positive BigInt', () => H.forgeryCost(1, null, null), 'positive BigInt');
+})();
+
+// ---- STR) streaming verification ---------------------------------------------------
+async function rejects(name, promise, match) {
+  try { await promise; check(name + ' (expected rejection)', false); }
+  catch (e) { check(name, match ? new RegExp(match, 'i').test(e.message) : true); }
+}
+
+(async function () {
+  const history = mineChainFile(H, { height: 595, hash: fh(0x595) }, 5, () => 0x207fffff, 1700400000);
+  const histHex = Array.from({ length: 5 }, (_, i) => H.bytesToHex(history.slice(40 + i * 80, 120 + i * 80)));
+  const cp = { height: 600, hash: H.hashHeader(histHex[4]), nBits: 0x207fffff };
+  const fwd = mineChainFile(H, cp, 30, () => 0x207fffff, 1700403000);
+  const file = new Uint8Array(fwd.length + 8 + 5 * 80);
+  file.set(fwd); file.set([0x42, 0x4b, 0x57, 0x44], fwd.length);
+  new DataView(file.buffer).setUint32(fwd.length + 4, 5, true);
+  histHex.slice().reverse().forEach((h, i) => file.set(H.hexToBytes(h), fwd.length + 8 + i * 80));
+  const chunks = function* (bytes, size) { for (let i = 0; i < bytes.length; i += size) yield bytes.slice(i, i + size); };
+  const expected = H.createVerifier({ checkpoint: cp }).loadChain(file);
+
+  const progress = [];
+  const v = H.createVerifier({ checkpoint: cp });
+  const streamed = await v.loadChainStream(chunks(file, 37), { chunkHeaders: 7, onProgress: p => progress.push(p) });
+  check('STR1: a chunked stream gives exactly the verifyHeaderChain result', isDeepStrictEqual(streamed, expected) && v.getChain() === streamed);
+  check('STR1: progress is reported per chunk up to the total',
+    progress.length === 5 && progress[0].verified === 7 && progress[4].verified === 30 && progress.every(p => p.total === 30));
+  check('STR1: a whole Uint8Array also streams to the same result',
+    isDeepStrictEqual(await H.createVerifier({ checkpoint: cp }).loadChainStream(file, { chunkHeaders: 4 }), expected));
+  if (typeof Blob !== 'undefined') {
+    check('STR1: a Blob streams to the same result',
+      isDeepStrictEqual(await H.createVerifier({ checkpoint: cp }).loadChainStream(new Blob([file])), expected));
+  }
+
+  const broken = file.slice(); broken[40 + 12 * 80 + 10] ^= 1;
+  let syncError = null;
+  try { H.createVerifier({ checkpoint: cp }).loadChain(broken); } catch (e) { syncError = e.message; }
+  await rejects('STR2: a bad header fails with the same error as verifyHeaderChain',
+    H.createVerifier({ checkpoint: cp }).loadChainStream(chunks(broken, 100), { chunkHeaders: 5 }), '^' + syncError.replace(/[()]/g, '\\$&') + '$');
+  await rejects('STR2: a truncated stream is refused', H.createVerifier({ checkpoint: cp }).loadChainStream(fwd.slice(0, 40 + 10 * 80 + 3)), 'File truncated');
+  let moduleError = null;
+  try { H.verifyHeaderChain(file, cp); } catch (e) { moduleError = e.message; }
+  await rejects('STR2: verifyHeaderChainStream matches verifyHeaderChain (module floor)',
+    H.verifyHeaderChainStream(file, cp), moduleError.slice(0, 30));
+
+  const ac = new AbortController();
+  const cancelled = H.createVerifier({ checkpoint: cp });
+  await rejects('STR3: aborting the signal cancels between chunks',
+    cancelled.loadChainStream(file, { chunkHeaders: 5, signal: ac.signal, onProgress: () => ac.abort() }), 'cancelled');
+  check('STR3: a cancelled load leaves no chain', cancelled.getChain() === null);
+
+  const worker = new Worker(require('path').join(__dirname, '..', 'lib', 'headers-worker.js'), { workerData: { network: H.NETWORK.name } });
+  try {
+    const wp = [];
+    const viaWorker = await H.createVerifier({ checkpoint: cp }).loadChainStream(file, { worker, chunkHeaders: 10, onProgress: p => wp.push(p.verified) });
+    check('STR4: a worker_threads worker returns the same result', isDeepStrictEqual(viaWorker, expected) && wp.join() === '10,20,30');
+    await rejects('STR4: worker errors surface as rejections',
+      H.createVerifier({ checkpoint: cp }).loadChainStream(broken, { worker }), 'Chain break|Invalid PoW');
+    await rejects('STR4: a worker for another checkpoint is refused',
+      H.createVerifier({ checkpoint: cp }).loadChainStream(fwd, { worker: { on: (ev, fn) => ev === 'message' && setTimeout(() =>
+        fn({ type: 'result', chain: Object.assign({}, expected, { anchor: { height: 1, hash: fh(1) } }) })), off() {}, postMessage() {} } }),
+      'different checkpoint');
+    const manifest = { checkpoints: Object.freeze([CP, CP2]) };
+    const anchorOnly = buildChainFile(CP2.height, CP2.hash, []);
+    check('STR4: a worker anchors to a checkpoint list the same way',
+      isDeepStrictEqual(await H.createVerifier({ checkpoints: manifest }).loadChainStream(anchorOnly, { worker }),
+        H.createVerifier({ checkpoints: manifest }).loadChain(anchorOnly)));
+  } finally {
+    await worker.terminate();
+  }
+  const dead = new Worker('throw new Error("no worker here")', { eval: true });
+  check('STR5: a worker that fails to start falls back to in-thread streaming',
+    isDeepStrictEqual(await H.createVerifier({ checkpoint: cp }).loadChainStream(file, { worker: dead }), expected));
+  await dead.terminate();
+  const removed = [];
+  const unclonable = { on() {}, off(ev) { removed.push(ev); }, postMessage() { throw new Error('could not be cloned'); } };
+  check('STR5: a worker whose postMessage throws also falls back, its listeners removed',
+    isDeepStrictEqual(await H.createVerifier({ checkpoint: cp }).loadChainStream(file, { worker: unclonable }), expected) &&
+    removed.join() === 'message,error');
+})().catch(e => check('STR: unexpected error ' + e.message, false)).then(() => {
+  console.log('\n' + (fail === 0 ? 'ALL PASSED' : fail + ' FAILURE(S)') + ' (' + pass + ' passed)');
+  process.exit(fail === 0 ? 0 : 1);
+});